@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Headless batch recoloring of Lottie JSON / TGS files.
+ * Runs the same modules as the browser editor, with Node's zlib as the gzip codec.
+ */
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { basename, extname, join } from "node:path";
+import { parseArgs } from "node:util";
+import { gzipSync, gunzipSync } from "node:zlib";
+
+import { FileHandler } from "../js/modules/FileHandler.js";
+import { ExportManager } from "../js/modules/ExportManager.js";
+import { HslAdjustManager } from "../js/modules/HueShiftManager.js";
+import { RecipeManager } from "../js/modules/RecipeManager.js";
+
+const USAGE = `Usage: lottie-editor recolor <input...> [options]
+
+Options:
+  -o, --output <file>     Output file (single input only)
+      --out-dir <dir>     Output directory (keeps input file names)
+      --map <file>        Color map JSON ({"#ff0000": "#00aaff"}) or a recipe saved by the editor
+      --hue <deg>         Hue shift (-180 to 180)
+      --saturation <pct>  Saturation shift (-100 to 100)
+      --lightness <pct>   Lightness shift (-100 to 100)
+      --lock <path>       Color path excluded from HSL shifts (repeatable)
+      --format <fmt>      Output format: json or tgs (default: output extension, else input format)
+  -h, --help              Show this help`;
+
+const zlibCodec = {
+    gzip: (data) => gzipSync(data),
+    ungzip: (data) => gunzipSync(data),
+};
+
+/**
+ * Parse an HSL option, clamped to its valid range
+ * @param {string|undefined} value - Option value
+ * @param {number} limit - Absolute limit
+ * @param {string} name - Option name for error messages
+ * @returns {number|undefined} Shift value, or undefined if not given
+ */
+function parseShift(value, limit, name) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`--${name} must be a number`);
+    }
+    return Math.max(-limit, Math.min(limit, number));
+}
+
+/**
+ * Load the recipe for --map: either a recipe file or a plain color map
+ * @param {RecipeManager} recipeManager
+ * @param {string|undefined} mapFile - Path to the map file
+ * @returns {Object} Recipe
+ */
+function loadRecipe(recipeManager, mapFile) {
+    if (!mapFile) {
+        return recipeManager.createFromColorMap({});
+    }
+    const text = readFileSync(mapFile, "utf8");
+    const data = JSON.parse(text);
+    return data && data.type ? recipeManager.parse(text) : recipeManager.createFromColorMap(data);
+}
+
+/**
+ * Recolor a single file
+ * @param {string} input - Input file path
+ * @param {string} output - Output file path
+ * @param {Object} recipe - Recipe to apply
+ * @param {Object} options - Parsed CLI options
+ * @returns {string[]} Warnings (recipe entries that matched nothing)
+ */
+function recolorFile(input, output, recipe, options) {
+    const fileHandler = new FileHandler(zlibCodec);
+    const exportManager = new ExportManager(zlibCodec);
+    const recipeManager = new RecipeManager();
+    const hslManager = new HslAdjustManager();
+
+    const originalAnimData = fileHandler.parseBuffer(input, readFileSync(input));
+    let animData = JSON.parse(JSON.stringify(originalAnimData));
+
+    const result = recipeManager.applyRecipe(recipe, animData);
+    [...result.lockedPaths, ...options.locks].forEach((path) => hslManager.lockPath(path));
+
+    const hue = options.hue !== undefined ? options.hue : recipe.hsl.hue;
+    const saturation = options.saturation !== undefined ? options.saturation : recipe.hsl.saturation;
+    const lightness = options.lightness !== undefined ? options.lightness : recipe.hsl.lightness;
+    if (hue !== 0 || saturation !== 0 || lightness !== 0) {
+        animData = hslManager.applyAdjustments(animData, hue, saturation, lightness);
+    }
+
+    const format = options.format || (extname(output).toLowerCase() === ".tgs" ? "tgs" : "json");
+    const { content } = exportManager.buildExport(
+        originalAnimData,
+        animData,
+        format,
+        (src, tgt) => fileHandler.deepTraverseAndCopyColors(src, tgt)
+    );
+    writeFileSync(output, content);
+
+    return [
+        ...result.unmatchedColors.map((hex) => `color ${hex} matched nothing`),
+        ...result.unmatchedPaths.map((path) => `locked path ${path} not found`),
+    ];
+}
+
+/**
+ * Join numeric options with negative values ("--hue -30" → "--hue=-30"), which parseArgs would reject
+ * @param {string[]} argv - Raw arguments
+ * @returns {string[]} Arguments
+ */
+function joinNegativeValues(argv) {
+    const args = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (["--hue", "--saturation", "--lightness"].includes(arg) && /^-\d/.test(argv[i + 1] || "")) {
+            args.push(`${arg}=${argv[++i]}`);
+        } else {
+            args.push(arg);
+        }
+    }
+    return args;
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: joinNegativeValues(argv),
+        allowPositionals: true,
+        options: {
+            output: { type: "string", short: "o" },
+            "out-dir": { type: "string" },
+            map: { type: "string" },
+            hue: { type: "string" },
+            saturation: { type: "string" },
+            lightness: { type: "string" },
+            lock: { type: "string", multiple: true },
+            format: { type: "string" },
+            help: { type: "boolean", short: "h" },
+        },
+    });
+
+    const [command, ...inputs] = positionals;
+    if (values.help || command !== "recolor" || inputs.length === 0) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+    if (values.format && !["json", "tgs"].includes(values.format)) {
+        throw new Error("--format must be json or tgs");
+    }
+    if (values.output && inputs.length > 1) {
+        throw new Error("--output takes a single input; use --out-dir for several files");
+    }
+    if (!values.output && !values["out-dir"]) {
+        throw new Error("Specify --output or --out-dir");
+    }
+
+    const options = {
+        hue: parseShift(values.hue, 180, "hue"),
+        saturation: parseShift(values.saturation, 100, "saturation"),
+        lightness: parseShift(values.lightness, 100, "lightness"),
+        locks: values.lock || [],
+        format: values.format,
+    };
+    const recipe = loadRecipe(new RecipeManager(), values.map);
+
+    if (values["out-dir"]) {
+        mkdirSync(values["out-dir"], { recursive: true });
+    }
+
+    let failures = 0;
+    inputs.forEach((input) => {
+        let output = values.output;
+        if (!output) {
+            const name = basename(input, extname(input));
+            const extension = options.format ? `.${options.format}` : extname(input);
+            output = join(values["out-dir"], name + extension);
+        }
+
+        try {
+            const warnings = recolorFile(input, output, recipe, options);
+            console.log(`${input} -> ${output}`);
+            warnings.forEach((warning) => console.warn(`  warning: ${warning}`));
+        } catch (error) {
+            failures++;
+            console.error(`${input}: ${error.message}`);
+        }
+    });
+
+    return failures > 0 ? 1 : 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    console.error(`lottie-editor: ${error.message}`);
+    process.exitCode = 1;
+}
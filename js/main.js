@@ -2,9 +2,24 @@ import { FileHandler } from "./modules/FileHandler.js";
 import { ColorExtractor } from "./modules/ColorExtractor.js";
 import { ColorRenderer } from "./modules/ColorRenderer.js";
 import { AnimationController } from "./modules/AnimationController.js";
-import { HistoryManager } from "./modules/HistoryManager.js";
 import { ExportManager } from "./modules/ExportManager.js";
-import { HslAdjustManager } from "./modules/HueShiftManager.js";
+import { LayerTree } from "./modules/LayerTree.js";
+import { HistoryPanel } from "./modules/HistoryPanel.js";
+import { ShapeHighlighter } from "./modules/ShapeHighlighter.js";
+import { PaletteMapper } from "./modules/PaletteMapper.js";
+import { RecipeManager } from "./modules/RecipeManager.js";
+import { Workspace } from "./modules/Workspace.js";
+import { AnimationExporter } from "./modules/AnimationExporter.js";
+import { TgsValidator } from "./modules/TgsValidator.js";
+import { LottieOptimizer } from "./modules/LottieOptimizer.js";
+import { SlotManager } from "./modules/SlotManager.js";
+import { ColorManifest } from "./modules/ColorManifest.js";
+import { SessionStore } from "./modules/SessionStore.js";
+import { ColorPicker } from "./modules/ColorPicker.js";
+import { writeInstanceColor } from "./utils/colorWriter.js";
+import { hexDeltaE, appendAlphaToHex } from "./utils/colorUtils.js";
+import { getLayerTiming } from "./utils/lottieUtils.js";
+import { animateColor } from "./utils/keyframes.js";
 
 /**
  * Main Lottie Editor class - orchestrates all modules and handles UI interactions.
@@ -12,19 +27,49 @@ import { HslAdjustManager } from "./modules/HueShiftManager.js";
 class LottieEditor {
     constructor() {
         // --- Core Data Initialization ---
-        this.animData = null; // Current modified animation data
-        this.originalAnimData = null; // Unmodified animation data for reset
+        // animData, originalAnimData, historyManager and hslManager belong to the active file (see getters below)
         this.allExtractedColors = [];
         this.currentFilter = "All";
         this.wasPlayingBeforeModal = false;
+        this.paletteMapping = []; // Rows of the palette mapping under review
+        this.tgsExportData = null; // Sticker data under review in the TGS check modal
+        this.tgsIssues = [];
+        this.slotDraft = null; // Slot names and theme colors being edited in the slots modal
+        this.resolveDotLottieChoice = null; // Resolves the pending animation choice of a multi-animation .lottie
 
         // --- Module Initialization ---
         this.fileHandler = new FileHandler();
         this.colorExtractor = new ColorExtractor();
-        this.historyManager = new HistoryManager(20); // Stores up to 20 states for Undo/Redo
         this.exportManager = new ExportManager();
+        this.tgsValidator = new TgsValidator(); // Checks TGS exports against Telegram's sticker rules
+        this.optimizer = new LottieOptimizer(); // Shrinks JSON/TGS exports when "Optimize" is checked
+        this.slotManager = new SlotManager(); // Binds color groups to named slots for runtime theming
+        this.colorManifest = new ColorManifest(); // Describes color groups for the runtime override helper
+        this.sessionStore = new SessionStore(); // Autosaves the workspace to IndexedDB
+        this.sessionId = null; // Id of the saved session this page writes to (created on first save)
+        this.autosaveTimer = null;
+        this.animationExporter = new AnimationExporter(); // Renders GIF/APNG/WebM exports off-screen
+        this.animationExportAbort = null; // AbortController of the running animation export
         this.animController = new AnimationController("anim"); // Manages lottie animation playback
-        this.hslManager = new HslAdjustManager(); // Manages HSL color adjustments
+        // Open files, each with its own animation data, Undo/Redo history and HSL adjustments
+        this.workspace = new Workspace(
+            document.getElementById("file-tabs"),
+            (doc) => this.switchDocument(doc),
+            (doc) => this.closeDocument(doc)
+        );
+        this.layerTree = new LayerTree(
+            document.getElementById("layer-tree"),
+            () => this.applyCurrentFilter() // Scope the color list to the selected layer subtree
+        );
+        this.historyPanel = new HistoryPanel(
+            document.getElementById("history-list"),
+            (position) => this.goToHistoryStep(position), // Jump to a step
+            (id) => this.switchHistoryBranch(id) // Continue from a branch
+        );
+        // Links color cards to the shapes in the preview (hover to highlight, click to focus)
+        this.highlighter = new ShapeHighlighter("anim", (elementPath) => this.focusColorsOf(elementPath));
+        this.paletteMapper = new PaletteMapper(); // Parses brand palettes and proposes color mappings
+        this.recipeManager = new RecipeManager(); // Saves and re-applies color change sets across files
 
         // --- DOM Elements Initialization (omitted for brevity) ---
         this.slider = document.getElementById("frameSlider");
@@ -34,6 +79,12 @@ class LottieEditor {
         this.groupCheckbox = document.getElementById("groupDuplicates");
         this.exportBtn = document.getElementById("exportBtn");
         this.playPauseBtn = document.getElementById("playPauseBtn");
+        this.undoBtn = document.getElementById("undoBtn");
+        this.redoBtn = document.getElementById("redoBtn");
+        this.previewStage = document.getElementById("preview-stage");
+        this.compareContainer = document.getElementById("anim-original");
+        this.compareModeSelect = document.getElementById("compareMode");
+        this.wipeSlider = document.getElementById("wipeSlider");
         this.colorList = document.getElementById("colors");
         this.fileInput = document.getElementById("fileInput");
         this.dropZone = document.getElementById("drop-zone");
@@ -43,9 +94,105 @@ class LottieEditor {
         this.exportJsonBtn = document.getElementById("export-as-json");
         this.exportTgsBtn = document.getElementById("export-as-tgs");
         this.exportSvgBtn = document.getElementById("export-as-svg");
+        this.exportPngBtn = document.getElementById("export-as-png");
+        this.exportWebpBtn = document.getElementById("export-as-webp");
+        this.frameExportScale = document.getElementById("frameExportScale");
+        this.frameExportSizeRow = document.getElementById("frame-export-size-row");
+        this.frameExportWidth = document.getElementById("frameExportWidth");
+        this.frameExportHeight = document.getElementById("frameExportHeight");
+        this.frameExportTransparent = document.getElementById("frameExportTransparent");
+        this.frameExportBackground = document.getElementById("frameExportBackground");
+        this.exportZipBtn = document.getElementById("export-as-zip");
+        this.exportZipSection = document.getElementById("export-zip-section");
+        this.syncTabsGroup = document.getElementById("sync-tabs-group");
+        this.syncTabsCheckbox = document.getElementById("syncTabs");
         this.exportFrameInput = document.getElementById("exportFrameInput");
+
+        // Animation (GIF/APNG/WebM) export
+        this.animExportFormat = document.getElementById("animExportFormat");
+        this.animExportColumnsRow = document.getElementById("anim-export-columns-row");
+        this.animExportColumns = document.getElementById("animExportColumns");
+        this.animExportWidth = document.getElementById("animExportWidth");
+        this.animExportHeight = document.getElementById("animExportHeight");
+        this.animExportStart = document.getElementById("animExportStart");
+        this.animExportEnd = document.getElementById("animExportEnd");
+        this.animExportFps = document.getElementById("animExportFps");
+        this.animExportTransparent = document.getElementById("animExportTransparent");
+        this.animExportBackground = document.getElementById("animExportBackground");
+        this.animExportProgressRow = document.getElementById("anim-export-progress");
+        this.animExportProgress = document.getElementById("animExportProgress");
+        this.animExportStatus = document.getElementById("animExportStatus");
+        this.exportAnimationBtn = document.getElementById("export-animation");
+        this.cancelAnimationExportBtn = document.getElementById("cancel-animation-export");
         this.resetBtn = document.getElementById("resetBtn");
 
+        // Palette mapping
+        this.importPaletteBtn = document.getElementById("importPaletteBtn");
+        this.paletteInput = document.getElementById("paletteInput");
+        this.paletteModal = document.getElementById("palette-modal");
+        this.paletteModalCloseBtn = document.getElementById("palette-modal-close");
+        this.paletteDescription = document.getElementById("palette-modal-description");
+        this.paletteMappingList = document.getElementById("palette-mapping");
+        this.applyPaletteBtn = document.getElementById("apply-palette");
+
+        // Animating static colors
+        this.animateModal = document.getElementById("animate-modal");
+        this.animateModalCloseBtn = document.getElementById("animate-modal-close");
+        this.animateDescription = document.getElementById("animate-modal-description");
+        this.animateFromSwatch = document.getElementById("animate-from");
+        this.animateToContainer = document.getElementById("animate-to");
+        this.animateFramesInput = document.getElementById("animateFrames");
+        this.animateEasingSelect = document.getElementById("animateEasing");
+        this.applyAnimateBtn = document.getElementById("apply-animate");
+        this.animateInstances = []; // Static color instances of the card being animated
+        this.animatePicker = null;
+
+        // Export optimization
+        this.optimizeExportCheckbox = document.getElementById("optimizeExport");
+        this.optimizePrecision = document.getElementById("optimizePrecision");
+        this.optimizeSettings = document.getElementById("optimize-settings");
+        this.optimizeUnusedAssets = document.getElementById("optimizeUnusedAssets");
+        this.optimizeHiddenLayers = document.getElementById("optimizeHiddenLayers");
+        this.optimizeMetadata = document.getElementById("optimizeMetadata");
+        this.optimizeSizes = document.getElementById("optimize-sizes");
+
+        // Saved sessions
+        this.sessionsBtn = document.getElementById("sessionsBtn");
+        this.sessionsModal = document.getElementById("sessions-modal");
+        this.sessionsModalCloseBtn = document.getElementById("sessions-modal-close");
+        this.sessionList = document.getElementById("session-list");
+        this.clearSessionsBtn = document.getElementById("clear-sessions");
+
+        // Color slots and themes
+        this.slotsBtn = document.getElementById("slotsBtn");
+        this.slotsModal = document.getElementById("slots-modal");
+        this.slotsModalCloseBtn = document.getElementById("slots-modal-close");
+        this.slotRows = document.getElementById("slot-rows");
+        this.addSlotThemeBtn = document.getElementById("add-slot-theme");
+        this.exportSlotsBtn = document.getElementById("export-slots");
+
+        // dotLottie animation choice
+        this.exportLottieBtn = document.getElementById("export-as-lottie");
+        this.exportColorKitBtn = document.getElementById("export-color-kit");
+        this.dotLottieModal = document.getElementById("dotlottie-modal");
+        this.dotLottieModalCloseBtn = document.getElementById("dotlottie-modal-close");
+        this.dotLottieDescription = document.getElementById("dotlottie-modal-description");
+        this.dotLottieAnimationList = document.getElementById("dotlottie-animations");
+        this.openDotLottieBtn = document.getElementById("open-dotlottie");
+
+        // TGS sticker check
+        this.tgsModal = document.getElementById("tgs-modal");
+        this.tgsModalCloseBtn = document.getElementById("tgs-modal-close");
+        this.tgsDescription = document.getElementById("tgs-modal-description");
+        this.tgsIssueList = document.getElementById("tgs-issues");
+        this.tgsFixBtn = document.getElementById("tgs-fix");
+        this.tgsExportBtn = document.getElementById("tgs-export");
+
+        // Color recipes
+        this.saveRecipeBtn = document.getElementById("saveRecipeBtn");
+        this.applyRecipeBtn = document.getElementById("applyRecipeBtn");
+        this.recipeInput = document.getElementById("recipeInput");
+
         // HSL controls
         this.hueSlider = document.getElementById("hueSlider");
         this.hueInput = document.getElementById("hueInput");
@@ -59,10 +206,13 @@ class LottieEditor {
         // These callbacks ensure UI and animation stay in sync when colors are modified via ColorRenderer.
         this.colorRenderer = new ColorRenderer(
             this.colorList,
-            () => {
+            (colorMap) => {
                 // Callback 1: After individual color change (re-extract colors and reload anim)
                 this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
                 this.reloadAnim();
+                if (colorMap) {
+                    this.syncColorEdit(colorMap);
+                }
             },
             () => {
                 // Callback 2: After gradient position change (re-extract, reload, and re-render list)
@@ -70,19 +220,62 @@ class LottieEditor {
                 this.reloadAnim();
                 this.applyCurrentFilter();
             },
-            () => this.saveState(), // Callback 3: Save state for Undo/Redo
+            (label) => this.saveState(label), // Callback 3: Save state for Undo/Redo
             this.hslManager,
-            (path) => {
+            (label) => {
                 // Callback 4: On lock toggle (re-apply HSL adjustments to respect new lock state)
                 if (this.hslManager.hasAdjustments()) {
                     const { hue, saturation, lightness } = this.hslManager.getCurrentAdjustments();
                     this.applyHslAdjustments(hue, saturation, lightness);
                 }
                 this.applyCurrentFilter(); // Re-render color list to update lock icon state
+                this.saveState(label);
+            },
+            (instances) => {
+                // Callback 5: Card hovered (highlight its shapes in the preview) or left (null)
+                if (instances) {
+                    this.highlighter.highlight(instances);
+                } else {
+                    this.highlighter.clearHighlight();
+                }
+            },
+            {
+                // Keyframe timelines: composition frames of the preview and seeking
+                getRange: () => ({ start: this.animData.ip || 0, end: this.animData.op || 0 }),
+                getCurrentFrame: () => (this.animData.ip || 0) + this.animController.getState().currentFrame,
+                getLayerTiming: (layerPath) => getLayerTiming(this.animData, layerPath),
+                seek: (frame) => this.seekToFrame(frame),
+                animate: (instances) => this.showAnimateModal(instances),
             }
         );
 
         this.initEventListeners();
+        this.offerSessionRestore();
+    }
+
+    // --- Active file state ---
+    get animData() {
+        // Current modified animation data
+        return this.workspace.activeDocument ? this.workspace.activeDocument.animData : null;
+    }
+
+    set animData(value) {
+        if (this.workspace.activeDocument) {
+            this.workspace.activeDocument.animData = value;
+        }
+    }
+
+    get originalAnimData() {
+        // Unmodified animation data for reset
+        return this.workspace.activeDocument ? this.workspace.activeDocument.originalAnimData : null;
+    }
+
+    get historyManager() {
+        return this.workspace.activeDocument ? this.workspace.activeDocument.historyManager : null;
+    }
+
+    get hslManager() {
+        return this.workspace.activeDocument ? this.workspace.activeDocument.hslManager : null;
     }
 
     /**
@@ -102,13 +295,14 @@ class LottieEditor {
             e.preventDefault();
             this.dropZone.classList.remove("drag-over");
             if (e.dataTransfer.files.length > 0) {
-                this.handleFile(e.dataTransfer.files[0]);
+                this.handleFiles(e.dataTransfer.files);
             }
         });
         this.fileInput.addEventListener("change", (e) => {
             if (e.target.files.length > 0) {
-                this.handleFile(e.target.files[0]);
+                this.handleFiles(e.target.files);
             }
+            e.target.value = ""; // Allow opening the same file again
         });
 
         // Keyboard shortcuts (Ctrl/Cmd + Z for Undo, Ctrl/Cmd + Shift + Z for Redo)
@@ -123,6 +317,14 @@ class LottieEditor {
                 }
             }
         });
+        this.undoBtn.onclick = () => this.undoChange();
+        this.redoBtn.onclick = () => this.redoChange();
+
+        // Before/after comparison
+        this.compareModeSelect.onchange = () => this.updateComparison();
+        this.wipeSlider.oninput = () => {
+            this.previewStage.style.setProperty("--wipe-position", `${this.wipeSlider.value}%`);
+        };
 
         // Button events
         this.playPauseBtn.onclick = () => this.togglePlay();
@@ -130,12 +332,142 @@ class LottieEditor {
         this.resetBtn.onclick = () => this.resetColors();
         this.exportJsonBtn.onclick = () => this.handleExport("json");
         this.exportTgsBtn.onclick = () => this.handleExport("tgs");
+        this.exportLottieBtn.onclick = () => this.handleExport("lottie");
+        this.exportColorKitBtn.onclick = () => this.handleColorKitExport();
         this.exportSvgBtn.onclick = () => this.handleSvgExport();
+        this.exportPngBtn.onclick = () => this.handleFrameImageExport("png");
+        this.exportWebpBtn.onclick = () => this.handleFrameImageExport("webp");
+        this.frameExportScale.onchange = () => {
+            const isCustom = this.frameExportScale.value === "custom";
+            this.frameExportSizeRow.style.display = isCustom ? "flex" : "none";
+            if (isCustom && this.animData) {
+                this.frameExportWidth.value = this.animData.w;
+                this.frameExportHeight.value = this.animData.h;
+            }
+        };
+        this.frameExportTransparent.onchange = () => {
+            this.frameExportBackground.disabled = this.frameExportTransparent.checked;
+        };
+        this.exportZipBtn.onclick = () => this.handleZipExport();
+        this.exportAnimationBtn.onclick = () => this.handleAnimationExport();
+        this.cancelAnimationExportBtn.onclick = () => this.cancelAnimationExport();
+        this.animExportFormat.onchange = () => {
+            this.animExportColumnsRow.style.display = this.animExportFormat.value === "sprite-sheet" ? "flex" : "none";
+        };
+        this.animExportTransparent.onchange = () => {
+            this.animExportBackground.disabled = this.animExportTransparent.checked;
+        };
+
+        // Keep the export size in the animation's aspect ratio
+        this.animExportWidth.oninput = () => {
+            const width = parseInt(this.animExportWidth.value);
+            if (width > 0 && this.animData) {
+                this.animExportHeight.value = Math.round((width * this.animData.h) / this.animData.w);
+            }
+        };
+        this.animExportHeight.oninput = () => {
+            const height = parseInt(this.animExportHeight.value);
+            if (height > 0 && this.animData) {
+                this.animExportWidth.value = Math.round((height * this.animData.w) / this.animData.h);
+            }
+        };
         this.closeModalBtn.onclick = () => this.closeModal();
         this.modal.onclick = (e) => {
             if (e.target === this.modal) this.closeModal();
         };
 
+        // Palette import events
+        this.importPaletteBtn.onclick = () => this.paletteInput.click();
+        this.paletteInput.addEventListener("change", (e) => {
+            if (e.target.files.length > 0) {
+                this.handlePaletteFile(e.target.files[0]);
+            }
+            e.target.value = ""; // Allow re-importing the same file
+        });
+        this.applyPaletteBtn.onclick = () => this.applyPaletteMapping();
+        this.paletteModalCloseBtn.onclick = () => this.closePaletteModal();
+        this.paletteModal.onclick = (e) => {
+            if (e.target === this.paletteModal) this.closePaletteModal();
+        };
+
+        this.applyAnimateBtn.onclick = () => this.applyAnimateColor();
+        this.animateModalCloseBtn.onclick = () => this.closeAnimateModal();
+        this.animateModal.onclick = (e) => {
+            if (e.target === this.animateModal) this.closeAnimateModal();
+        };
+
+        // Optimization events: every option change refreshes the size comparison
+        [
+            this.optimizeExportCheckbox,
+            this.optimizePrecision,
+            this.optimizeUnusedAssets,
+            this.optimizeHiddenLayers,
+            this.optimizeMetadata,
+        ].forEach((input) => {
+            input.onchange = () => this.updateOptimizeSizes();
+        });
+
+        // Session events
+        this.sessionsBtn.onclick = () => this.showSessionsModal();
+        this.clearSessionsBtn.onclick = () => this.clearSessions();
+        this.sessionsModalCloseBtn.onclick = () => this.closeSessionsModal();
+        this.sessionsModal.onclick = (e) => {
+            if (e.target === this.sessionsModal) this.closeSessionsModal();
+        };
+        // Write pending changes before the page is hidden or closed
+        document.addEventListener("visibilitychange", () => {
+            if (document.visibilityState === "hidden" && this.autosaveTimer) {
+                this.autosave();
+            }
+        });
+
+        // Slot events
+        this.slotsBtn.onclick = () => this.showSlotsModal();
+        this.addSlotThemeBtn.onclick = () => {
+            this.slotDraft.themes.push({
+                name: `Theme ${this.slotDraft.themes.length + 1}`,
+                colors: this.slotDraft.rows.map((row) => row.group.hex),
+            });
+            this.renderSlotRows();
+        };
+        this.exportSlotsBtn.onclick = () => this.handleSlotExport();
+        this.slotsModalCloseBtn.onclick = () => this.closeSlotsModal();
+        this.slotsModal.onclick = (e) => {
+            if (e.target === this.slotsModal) this.closeSlotsModal();
+        };
+
+        // dotLottie choice events
+        this.openDotLottieBtn.onclick = () => {
+            const selected = Array.from(this.dotLottieAnimationList.querySelectorAll("input:checked"))
+                .map((input) => parseInt(input.value));
+            this.closeDotLottieModal(selected);
+        };
+        this.dotLottieModalCloseBtn.onclick = () => this.closeDotLottieModal([]);
+        this.dotLottieModal.onclick = (e) => {
+            if (e.target === this.dotLottieModal) this.closeDotLottieModal([]);
+        };
+
+        // TGS check events
+        this.tgsFixBtn.onclick = () => this.applyTgsFixes();
+        this.tgsExportBtn.onclick = () => {
+            this.downloadExport(this.tgsExportData, "tgs");
+            this.closeTgsModal();
+        };
+        this.tgsModalCloseBtn.onclick = () => this.closeTgsModal();
+        this.tgsModal.onclick = (e) => {
+            if (e.target === this.tgsModal) this.closeTgsModal();
+        };
+
+        // Recipe events
+        this.saveRecipeBtn.onclick = () => this.saveRecipe();
+        this.applyRecipeBtn.onclick = () => this.recipeInput.click();
+        this.recipeInput.addEventListener("change", (e) => {
+            if (e.target.files.length > 0) {
+                this.handleRecipeFile(e.target.files[0]);
+            }
+            e.target.value = "";
+        });
+
         // Slider events: controls frame scrub/preview
         this.slider.oninput = () => {
             const frame = parseFloat(this.slider.value);
@@ -162,6 +494,7 @@ class LottieEditor {
                 this.currentFilter,
                 document.querySelector(`[data-filter="${this.currentFilter}"]`)
             );
+            this.scheduleAutosave();
         };
 
         // Filter buttons
@@ -169,6 +502,7 @@ class LottieEditor {
             button.onclick = (e) => {
                 this.currentFilter = e.target.dataset.filter;
                 this.filterAndRender(this.currentFilter, e.target);
+                this.scheduleAutosave();
             };
         });
 
@@ -215,7 +549,7 @@ class LottieEditor {
         };
 
         // Save state on slider release (for Undo/Redo)
-        const saveHslState = () => this.saveState();
+        const saveHslState = () => this.saveState(this.describeHslChange());
         this.hueSlider.onchange = saveHslState;
         this.saturationSlider.onchange = saveHslState;
         this.lightnessSlider.onchange = saveHslState;
@@ -224,7 +558,7 @@ class LottieEditor {
         const wrapInputHandler = (element) => {
             element.onchange = () => {
                 handleHslChange(true);
-                this.saveState();
+                this.saveState(this.describeHslChange());
             };
         };
         wrapInputHandler(this.hueInput);
@@ -233,266 +567,1607 @@ class LottieEditor {
     }
 
     /**
-     * Handles file loading (Lottie/TGS) and initializes the editor state.
-     * @param {File} file - The file uploaded by the user.
+     * Handles file loading (Lottie/TGS/dotLottie): opens each file in its own tab and activates the last one.
+     * @param {FileList|File[]} files - The files uploaded by the user.
      */
-    async handleFile(file) {
-        if (!file) return;
-
-        try {
-            this.fileNameDisplay.textContent = `Loaded: ${file.name}`;
-
-            const animData = await this.fileHandler.loadFile(file);
-
-            this.originalAnimData = animData;
-            this.animData = JSON.parse(JSON.stringify(animData));
-
-            this.historyManager.clear();
-            this.saveState();
-
-            // Reset HSL adjustments and UI
-            this.hslManager.clear();
-            this.hueSlider.value = 0;
-            this.saturationSlider.value = 0;
-            this.lightnessSlider.value = 0;
-            this.hueInput.value = 0;
-            this.saturationInput.value = 0;
-            this.lightnessInput.value = 0;
-            this.hueSlider.disabled = false;
-            this.saturationSlider.disabled = false;
-            this.lightnessSlider.disabled = false;
-            this.hueInput.disabled = false;
-            this.saturationInput.disabled = false;
-            this.lightnessInput.disabled = false;
-            this.resetHslBtn.disabled = true;
-
-            this.exportBtn.disabled = false;
-            this.resetBtn.disabled = false;
-            this.playPauseBtn.textContent = "Play";
+    async handleFiles(files) {
+        // Copy the list before awaiting: drop and input file lists do not outlive the event
+        const fileList = Array.from(files);
+        let lastOpened = null;
+
+        for (const file of fileList) {
+            try {
+                if (file.name.toLowerCase().endsWith(".lottie")) {
+                    lastOpened = (await this.openDotLottie(file)).pop() || lastOpened;
+                } else {
+                    lastOpened = this.openDocument(file.name, await this.fileHandler.loadFile(file));
+                }
+            } catch (error) {
+                console.error("Error loading or parsing animation file:", error);
+                this.fileNameDisplay.textContent = `Error: Invalid Lottie/TGS/dotLottie file.`;
+                alert(`An error occurred while loading ${file.name}. Error detail: ${error.message}`);
+            }
+        }
 
-            this.initializeColorEditor(this.animData);
-            this.reloadAnim();
-        } catch (error) {
-            console.error("Error loading or parsing animation file:", error);
-            this.fileNameDisplay.textContent = `Error: Invalid Lottie/TGS file.`;
-            alert(`An error occurred while loading the file. Error detail: ${error.message}`);
+        if (lastOpened) {
+            this.workspace.select(lastOpened);
         }
     }
 
     /**
-     * Saves the current animation data and HSL settings to the history manager.
+     * Adds a loaded animation as a new tab with its initial history state.
+     * @param {string} name - Tab name.
+     * @param {Object} animData - Animation data as loaded.
+     * @returns {Object} The new document.
      */
-    saveState() {
-        const state = {
-            animData: this.animData,
-            hsl: this.hslManager.getCurrentAdjustments()
-        };
-        this.historyManager.saveState(state);
+    openDocument(name, animData) {
+        const doc = this.workspace.addDocument(name, animData);
+        doc.historyManager.saveState({
+            animData: doc.animData,
+            hsl: doc.hslManager.getCurrentAdjustments(),
+            lockedPaths: doc.hslManager.lockedPaths,
+            originalAnimData: doc.hslManager.originalAnimData
+        });
+        return doc;
     }
 
     /**
-     * Reverts to the previous state in history (Undo).
+     * Opens the animations of a dotLottie file, asking which ones to open when it has several.
+     * @param {File} file - The .lottie file.
+     * @returns {Promise<Object[]>} The opened documents.
      */
-    undoChange() {
-        const previousState = this.historyManager.undo();
-        if (!previousState) return;
+    async openDotLottie(file) {
+        const archive = await this.fileHandler.loadDotLottie(file);
+        let animations = archive.animations;
 
-        let animData, hsl;
-        if (previousState.animData) {
-            animData = previousState.animData;
-            hsl = previousState.hsl;
-        } else {
-            // Backward compatibility for older states
-            animData = previousState;
-            hsl = { hue: 0, saturation: 0, lightness: 0 };
+        if (animations.length > 1) {
+            const selected = await this.chooseDotLottieAnimations(file.name, animations);
+            animations = selected.map((index) => archive.animations[index]);
         }
 
-        this.animData = animData;
-        this.hslManager.setAdjustments(hsl.hue, hsl.saturation, hsl.lightness);
-        this.updateHslUI(hsl.hue, hsl.saturation, hsl.lightness);
-
-        this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
-        this.reloadAnim();
-        this.applyCurrentFilter();
+        return animations.map((animation) => {
+            const name = archive.animations.length > 1 ? `${file.name} › ${animation.id}` : file.name;
+            const doc = this.openDocument(name, animation.animData);
+            doc.dotLottie = { archive, animationId: animation.id };
+            return doc;
+        });
     }
 
     /**
-     * Advances to the next state in history (Redo).
+     * Opens the slots modal with one row per color group that can be slotted,
+     * prefilled from the slots and themes saved on the active file.
      */
-    redoChange() {
-        const currentState = {
-            animData: this.animData,
-            hsl: this.hslManager.getCurrentAdjustments()
-        };
+    showSlotsModal() {
+        const doc = this.workspace.activeDocument;
+        if (!doc) return;
+
+        const rows = Object.values(this.colorExtractor.getGroupedColors())
+            .sort((a, b) => b.count - a.count)
+            .map((group) => {
+                const paths = group.instances
+                    .filter((instance) => this.slotManager.isSlottable(instance))
+                    .map((instance) => instance.path);
+                const slot = doc.slots.find((s) => s.paths.some((path) => paths.includes(path)));
+                return { group, paths, name: slot ? slot.id : "" };
+            })
+            .filter((row) => row.paths.length > 0);
+
+        const themes = doc.themes.map((theme) => ({
+            name: theme.name,
+            colors: rows.map((row) => (row.name && theme.values[row.name]) || row.group.hex),
+        }));
+
+        this.slotDraft = { rows, themes };
+        this.renderSlotRows();
+
+        this.slotsModal.style.display = "flex";
+        setTimeout(() => this.slotsModal.classList.add("show"), 10);
+    }
 
-        const redoState = this.historyManager.redo(currentState);
-        if (!redoState) return;
+    /**
+     * Renders the slot rows: color, slot name and one color per theme.
+     */
+    renderSlotRows() {
+        this.slotRows.innerHTML = "";
 
-        let animData, hsl;
-        if (redoState.animData) {
-            animData = redoState.animData;
-            hsl = redoState.hsl;
-        } else {
-            // Backward compatibility for older states
-            animData = redoState;
-            hsl = { hue: 0, saturation: 0, lightness: 0 };
+        if (this.slotDraft.rows.length === 0) {
+            this.slotRows.textContent = "This file has no colors that can be slotted.";
+            return;
         }
 
-        this.animData = animData;
-        this.hslManager.setAdjustments(hsl.hue, hsl.saturation, hsl.lightness);
-        this.updateHslUI(hsl.hue, hsl.saturation, hsl.lightness);
+        const header = document.createElement("div");
+        header.className = "palette-row slot-header";
+        const headerLabel = document.createElement("span");
+        headerLabel.className = "palette-source-label";
+        headerLabel.textContent = "Color";
+        const headerName = document.createElement("span");
+        headerName.className = "slot-header-name";
+        headerName.textContent = "Slot name";
+        header.appendChild(headerLabel);
+        header.appendChild(headerName);
+
+        this.slotDraft.themes.forEach((theme, themeIndex) => {
+            const cell = document.createElement("span");
+            cell.className = "slot-theme";
+
+            const nameInput = document.createElement("input");
+            nameInput.value = theme.name;
+            nameInput.title = "Theme name";
+            nameInput.oninput = () => {
+                theme.name = nameInput.value;
+            };
 
-        this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
-        this.reloadAnim();
-        this.applyCurrentFilter();
+            const removeBtn = document.createElement("button");
+            removeBtn.className = "slot-theme-remove";
+            removeBtn.textContent = "×";
+            removeBtn.title = "Remove theme";
+            removeBtn.onclick = () => {
+                this.slotDraft.themes.splice(themeIndex, 1);
+                this.renderSlotRows();
+            };
+
+            cell.appendChild(nameInput);
+            cell.appendChild(removeBtn);
+            header.appendChild(cell);
+        });
+        this.slotRows.appendChild(header);
+
+        this.slotDraft.rows.forEach((row, rowIndex) => {
+            const rowEl = document.createElement("div");
+            rowEl.className = "palette-row";
+
+            const swatch = document.createElement("span");
+            swatch.className = "palette-swatch";
+            swatch.style.backgroundColor = row.group.hex;
+
+            const label = document.createElement("span");
+            label.className = "palette-source-label";
+            label.textContent = `${row.group.hex} (${row.paths.length})`;
+
+            const nameInput = document.createElement("input");
+            nameInput.className = "slot-name";
+            nameInput.placeholder = "Not slotted";
+            nameInput.value = row.name;
+            nameInput.oninput = () => {
+                row.name = nameInput.value;
+            };
+
+            rowEl.appendChild(swatch);
+            rowEl.appendChild(label);
+            rowEl.appendChild(nameInput);
+
+            this.slotDraft.themes.forEach((theme) => {
+                const colorInput = document.createElement("input");
+                colorInput.type = "color";
+                colorInput.className = "slot-theme-color";
+                colorInput.title = theme.name;
+                colorInput.value = theme.colors[rowIndex];
+                colorInput.oninput = () => {
+                    theme.colors[rowIndex] = colorInput.value;
+                };
+                rowEl.appendChild(colorInput);
+            });
+
+            this.slotRows.appendChild(rowEl);
+        });
     }
 
     /**
-     * Resets the animation colors to the original loaded file data.
+     * Saves the slots modal's draft on the active file. Rows sharing a slot name
+     * become one slot; the first row decides the slot's theme colors.
      */
-    resetColors() {
-        if (!this.originalAnimData) return;
-
-        this.saveState();
-        this.animData = JSON.parse(JSON.stringify(this.originalAnimData));
+    commitSlotDraft() {
+        const doc = this.workspace.activeDocument;
+        const slots = new Map();
+        const rowIds = this.slotDraft.rows.map((row) => this.slotManager.normalizeId(row.name));
+
+        this.slotDraft.rows.forEach((row, rowIndex) => {
+            const id = rowIds[rowIndex];
+            if (!id) return;
+            if (!slots.has(id)) slots.set(id, { id, paths: [] });
+            slots.get(id).paths.push(...row.paths);
+        });
 
-        this.hslManager.clear();
-        this.updateHslUI(0, 0, 0);
+        doc.slots = [...slots.values()];
+        doc.themes = this.slotDraft.themes.map((theme) => {
+            const values = {};
+            theme.colors.forEach((hex, rowIndex) => {
+                const id = rowIds[rowIndex];
+                if (id && !values[id]) values[id] = hex;
+            });
+            return { name: theme.name.trim(), values };
+        });
+        this.scheduleAutosave();
+    }
 
-        this.initializeColorEditor(this.animData);
-        this.reloadAnim();
+    /**
+     * Saves the session a moment after the last change, so bursts of edits are written once.
+     */
+    scheduleAutosave() {
+        if (!this.sessionStore.isSupported()) return;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), 1000);
     }
 
     /**
-     * Applies HSL adjustments to the animation data, bypassing locked colors.
-     * @param {number} hue - Hue shift value (-180 to 180).
-     * @param {number} saturation - Saturation adjustment value (-100 to 100).
-     * @param {number} lightness - Lightness adjustment value (-100 to 100).
+     * Writes the open files, their history and HSL state, and the filter settings to IndexedDB.
+     * Closing every file removes the session.
      */
-    applyHslAdjustments(hue, saturation, lightness) {
-        if (!this.animData) return;
+    async autosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
 
-        this.animData = this.hslManager.applyAdjustments(this.animData, hue, saturation, lightness);
+        try {
+            if (this.workspace.documents.length === 0) {
+                if (this.sessionId) {
+                    await this.sessionStore.delete(this.sessionId);
+                    this.sessionId = null;
+                }
+                return;
+            }
 
-        this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
-        this.reloadAnim();
-        this.applyCurrentFilter();
+            if (!this.sessionId) {
+                this.sessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            }
+            await this.sessionStore.save({
+                id: this.sessionId,
+                name: this.workspace.documents.map((doc) => doc.name).join(", "),
+                updatedAt: Date.now(),
+                workspace: this.workspace.serialize(),
+                settings: { filter: this.currentFilter, grouped: this.groupCheckbox.checked },
+            });
+        } catch (error) {
+            // Autosave must never interrupt editing (e.g. storage quota exceeded)
+            console.error("Error saving session:", error);
+        }
     }
 
     /**
-     * Updates the HSL slider and input fields.
+     * Offers the saved sessions for restore when the page loads.
      */
-    updateHslUI(hue, saturation, lightness) {
-        this.hueSlider.value = hue;
-        this.saturationSlider.value = saturation;
-        this.lightnessSlider.value = lightness;
-        this.hueInput.value = hue;
-        this.saturationInput.value = saturation;
-        this.lightnessInput.value = lightness;
+    async offerSessionRestore() {
+        if (!this.sessionStore.isSupported()) return;
+        try {
+            const sessions = await this.sessionStore.list();
+            if (sessions.length > 0 && this.workspace.documents.length === 0) {
+                this.showSessionsModal(sessions);
+            }
+        } catch (error) {
+            console.error("Error reading saved sessions:", error);
+        }
+    }
 
-        const hasAdjustments = (hue !== 0 || saturation !== 0 || lightness !== 0);
-        this.resetHslBtn.disabled = !hasAdjustments;
+    /**
+     * Displays the saved sessions modal.
+     * @param {Array} [sessions] - Session summaries (read from the store when omitted).
+     */
+    async showSessionsModal(sessions) {
+        if (!this.sessionStore.isSupported()) {
+            alert("This browser cannot save sessions.");
+            return;
+        }
+
+        try {
+            this.renderSessionList(sessions || (await this.sessionStore.list()));
+        } catch (error) {
+            console.error("Error reading saved sessions:", error);
+            alert(`An error occurred while reading saved sessions. Error detail: ${error.message}`);
+            return;
+        }
+
+        this.sessionsModal.style.display = "flex";
+        setTimeout(() => this.sessionsModal.classList.add("show"), 10);
     }
 
     /**
-     * Resets HSL adjustments and restores original animation data from the HSL Manager.
+     * Renders one row per saved session with Restore and Delete buttons.
+     * @param {Array} sessions - Session summaries.
      */
-    resetHslAdjustments() {
-        if (!this.animData) return;
+    renderSessionList(sessions) {
+        this.sessionList.innerHTML = "";
+        this.clearSessionsBtn.disabled = sessions.length === 0;
 
-        this.saveState();
+        if (sessions.length === 0) {
+            this.sessionList.textContent = "No saved sessions.";
+            return;
+        }
 
-        // Clear all locks as requested
-        this.hslManager.clearLocks();
+        sessions.forEach((session) => {
+            const row = document.createElement("div");
+            row.className = "session-row";
+
+            const info = document.createElement("div");
+            info.className = "session-info";
+            const name = document.createElement("span");
+            name.className = "session-name";
+            name.textContent = session.name;
+            name.title = session.name;
+            const meta = document.createElement("span");
+            meta.className = "session-meta";
+            const current = session.id === this.sessionId ? " · current" : "";
+            meta.textContent = `${session.fileCount} file(s) · ${new Date(session.updatedAt).toLocaleString()}${current}`;
+            info.appendChild(name);
+            info.appendChild(meta);
+
+            const restoreBtn = document.createElement("button");
+            restoreBtn.className = "action-btn secondary-btn";
+            restoreBtn.textContent = "Restore";
+            restoreBtn.disabled = session.id === this.sessionId;
+            restoreBtn.onclick = () => this.restoreSession(session.id);
+
+            const deleteBtn = document.createElement("button");
+            deleteBtn.className = "action-btn danger-btn";
+            deleteBtn.textContent = "Delete";
+            deleteBtn.onclick = async () => {
+                await this.sessionStore.delete(session.id);
+                if (session.id === this.sessionId) this.sessionId = null;
+                this.renderSessionList(await this.sessionStore.list());
+            };
 
-        const originalData = this.hslManager.reset();
-        if (originalData) {
-            this.animData = originalData;
+            row.appendChild(info);
+            row.appendChild(restoreBtn);
+            row.appendChild(deleteBtn);
+            this.sessionList.appendChild(row);
+        });
+    }
+
+    /**
+     * Replaces the open files with a saved session; later changes are saved back into it.
+     * @param {string} id - Session id.
+     */
+    async restoreSession(id) {
+        if (this.workspace.documents.length > 0 &&
+            !confirm("Restoring replaces the files that are open now. Continue?")) {
+            return;
         }
 
-        this.hueSlider.value = 0;
-        this.saturationSlider.value = 0;
-        this.lightnessSlider.value = 0;
-        this.hueInput.value = 0;
-        this.saturationInput.value = 0;
-        this.lightnessInput.value = 0;
-        this.resetHslBtn.disabled = true;
+        try {
+            const session = await this.sessionStore.load(id);
+            if (!session) throw new Error("The session no longer exists");
+
+            // The current session stays saved under its own id
+            if (this.autosaveTimer) await this.autosave();
+            this.cancelAnimationExport();
+
+            this.currentFilter = session.settings.filter || "All";
+            this.groupCheckbox.checked = session.settings.grouped !== false;
+            this.sessionId = id;
+            this.workspace.restore(session.workspace);
+            this.updateSyncControls();
+            this.closeSessionsModal();
+        } catch (error) {
+            console.error("Error restoring session:", error);
+            alert(`An error occurred while restoring the session. Error detail: ${error.message}`);
+        }
+    }
 
-        this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
-        this.reloadAnim();
-        this.applyCurrentFilter();
+    /**
+     * Deletes every saved session.
+     */
+    async clearSessions() {
+        if (!confirm("Delete all saved sessions?")) return;
+        try {
+            await this.sessionStore.clear();
+            this.sessionId = null;
+            this.renderSessionList([]);
+        } catch (error) {
+            console.error("Error clearing sessions:", error);
+            alert(`An error occurred while clearing sessions. Error detail: ${error.message}`);
+        }
     }
 
     /**
-     * Toggles the animation play/pause state.
+     * Closes the saved sessions modal.
      */
-    togglePlay() {
-        const isPaused = this.animController.togglePlay();
-        this.playPauseBtn.textContent = isPaused ? "Play" : "Pause";
+    closeSessionsModal() {
+        this.sessionsModal.classList.remove("show");
+        setTimeout(() => {
+            this.sessionsModal.style.display = "none";
+        }, 300);
     }
 
     /**
-     * Displays the export modal and pauses the animation.
+     * Exports the active file with slot references plus one theme file per theme, as a ZIP.
      */
-    showExportModal() {
-        if (!this.originalAnimData) {
-            alert("Please load a Lottie or TGS file first.");
+    handleSlotExport() {
+        this.commitSlotDraft();
+        const doc = this.workspace.activeDocument;
+        if (doc.slots.length === 0) {
+            alert("Name at least one color group to create a slot.");
             return;
         }
 
-        this.wasPlayingBeforeModal = !this.animController.getState().isPaused;
-        if (this.wasPlayingBeforeModal) {
-            this.animController.pause();
-            this.playPauseBtn.textContent = "Play";
-        }
+        try {
+            let exportData = this.exportManager.buildExportData(
+                this.originalAnimData,
+                this.animData,
+                (src, tgt) => this.fileHandler.deepTraverseAndCopyColors(src, tgt)
+            );
+            const { missing } = this.slotManager.applySlots(exportData, doc.slots);
+            const optimizeOptions = this.getOptimizeOptions();
+            if (optimizeOptions) {
+                exportData = this.optimizer.optimize(exportData, optimizeOptions);
+            }
 
-        this.modal.style.display = "flex";
+            // Theme files are named after the theme; unnamed or clashing themes get a number
+            const usedIds = new Set();
+            const themes = doc.themes.map((theme, i) => {
+                const baseId = this.slotManager.normalizeId(theme.name) || `theme_${i + 1}`;
+                let id = baseId;
+                for (let n = 2; usedIds.has(id); n++) {
+                    id = `${baseId}_${n}`;
+                }
+                usedIds.add(id);
+                return { id, data: this.slotManager.buildTheme(theme, doc.slots) };
+            });
 
-        const currentFrame = Math.round(this.slider.value);
-        this.exportFrameInput.value = currentFrame;
-        this.exportFrameInput.max = this.slider.max;
+            const { content, filename, mimeType } = this.exportManager.buildThemedExport(exportData, themes);
+            this.exportManager.downloadFile(content, filename, mimeType);
+            this.closeSlotsModal();
 
-        setTimeout(() => this.modal.classList.add("show"), 10);
+            if (missing > 0) {
+                alert(`${missing} color(s) could not be bound to their slot and keep their baked-in value.`);
+            }
+        } catch (error) {
+            console.error("Error exporting slots:", error);
+            alert(`An error occurred while exporting the slots. Error detail: ${error.message}`);
+        }
     }
 
     /**
-     * Closes the export modal and resumes the animation if it was playing.
+     * Closes the slots modal, keeping the slot names and themes on the active file.
      */
-    closeModal() {
-        this.modal.classList.remove("show");
+    closeSlotsModal() {
+        if (this.slotDraft && this.workspace.activeDocument) {
+            this.commitSlotDraft();
+        }
+        this.slotDraft = null;
+        this.slotsModal.classList.remove("show");
         setTimeout(() => {
-            this.modal.style.display = "none";
-
-            if (this.wasPlayingBeforeModal) {
-                this.animController.togglePlay();
-                this.playPauseBtn.textContent = "Pause";
-                this.wasPlayingBeforeModal = false;
-            }
+            this.slotsModal.style.display = "none";
         }, 300);
     }
 
     /**
-     * Initiates the export process for JSON or TGS.
-     * @param {string} format - 'json' or 'tgs'.
+     * Lists the animations of a dotLottie manifest and waits for the user's choice.
+     * @param {string} fileName - Name of the .lottie file.
+     * @param {Array} animations - Animations of the archive.
+     * @returns {Promise<number[]>} Indexes of the chosen animations (empty if the modal was closed).
      */
-    handleExport(format) {
-        this.closeModal();
-        this.exportManager.export(
-            this.originalAnimData,
-            this.animData,
-            format,
-            (src, tgt) => this.fileHandler.deepTraverseAndCopyColors(src, tgt)
-        );
+    chooseDotLottieAnimations(fileName, animations) {
+        this.dotLottieDescription.textContent = `${fileName} contains ${animations.length} animations. Choose which to open.`;
+        this.dotLottieAnimationList.innerHTML = "";
+
+        animations.forEach((animation, index) => {
+            const label = document.createElement("label");
+            label.className = "dotlottie-animation";
+
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.value = index;
+            checkbox.checked = index === 0;
+
+            const name = document.createElement("span");
+            const { w, h, fr, ip, op } = animation.animData;
+            name.textContent = `${animation.id} (${w}×${h}, ${((op - ip) / fr).toFixed(1)} s)`;
+
+            label.appendChild(checkbox);
+            label.appendChild(name);
+            this.dotLottieAnimationList.appendChild(label);
+        });
+
+        this.dotLottieModal.style.display = "flex";
+        setTimeout(() => this.dotLottieModal.classList.add("show"), 10);
+        return new Promise((resolve) => {
+            this.resolveDotLottieChoice = resolve;
+        });
     }
 
     /**
-     * Handles exporting the current frame as an SVG file.
+     * Closes the dotLottie animation choice and hands the selection to the waiting loader.
+     * @param {number[]} selected - Indexes of the chosen animations.
      */
-    handleSvgExport() {
-        const frame = parseInt(this.exportFrameInput.value);
-        if (isNaN(frame) || frame < 0) {
-            alert("Please enter a valid frame number.");
-            return;
+    closeDotLottieModal(selected) {
+        if (this.resolveDotLottieChoice) {
+            this.resolveDotLottieChoice(selected);
+            this.resolveDotLottieChoice = null;
+        }
+        this.dotLottieModal.classList.remove("show");
+        setTimeout(() => {
+            this.dotLottieModal.style.display = "none";
+        }, 300);
+    }
+
+    /**
+     * Shows a file in the editor after its tab was activated.
+     * @param {Object} doc - The activated document.
+     */
+    switchDocument(doc) {
+        this.fileNameDisplay.textContent = `Loaded: ${doc.name}`;
+        this.colorRenderer.hslManager = doc.hslManager;
+
+        const hsl = doc.hslManager.getCurrentAdjustments();
+        this.updateHslUI(hsl.hue, hsl.saturation, hsl.lightness);
+        this.setEditorEnabled(true);
+        this.updateSyncControls();
+
+        this.layerTree.render(this.animData);
+        this.initializeColorEditor(this.animData);
+        this.reloadAnim();
+        this.updateComparison();
+        this.renderHistory();
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Applies the compare mode: shows the file as loaded next to (or under a wipe over)
+     * the edit, following the main preview's timeline.
+     */
+    updateComparison() {
+        const mode = this.compareModeSelect.value;
+        const active = mode !== "off" && !!this.workspace.activeDocument;
+
+        this.previewStage.classList.toggle("compare-side", active && mode === "side");
+        this.previewStage.classList.toggle("compare-wipe", active && mode === "wipe");
+        this.compareContainer.style.display = active ? "flex" : "none";
+        this.wipeSlider.style.display = active && mode === "wipe" ? "block" : "none";
+
+        if (active) {
+            this.animController.loadComparison("anim-original", this.originalAnimData);
+        } else {
+            this.animController.clearComparison();
+        }
+    }
+
+    /**
+     * Closes a file tab; the editor is emptied when no file is left.
+     * @param {Object} doc - The document to close.
+     */
+    closeDocument(doc) {
+        const next = this.workspace.removeDocument(doc);
+        this.updateSyncControls();
+        this.scheduleAutosave();
+        if (next) return;
+
+        this.fileNameDisplay.textContent = "";
+        this.allExtractedColors = [];
+        this.updateHslUI(0, 0, 0);
+        this.setEditorEnabled(false);
+        this.layerTree.clear();
+        this.renderHistory();
+        this.highlighter.setColors([]);
+        this.animController.clear();
+        this.updateComparison();
+        this.colorRenderer.renderColors([], false);
+        this.colorList.innerHTML = '<p class="initial-message">Upload a file to see color controls.</p>';
+        this.playPauseBtn.textContent = "Play";
+    }
+
+    /**
+     * Enables or disables the controls that need an open file.
+     * @param {boolean} enabled - Whether a file is open.
+     */
+    setEditorEnabled(enabled) {
+        [this.hueSlider, this.saturationSlider, this.lightnessSlider,
+            this.hueInput, this.saturationInput, this.lightnessInput].forEach((el) => {
+            el.disabled = !enabled;
+        });
+        this.exportBtn.disabled = !enabled;
+        this.resetBtn.disabled = !enabled;
+        this.importPaletteBtn.disabled = !enabled;
+        this.saveRecipeBtn.disabled = !enabled;
+        this.applyRecipeBtn.disabled = !enabled;
+        this.slotsBtn.disabled = !enabled;
+    }
+
+    /**
+     * Shows the "apply to all files" option only when several files are open.
+     */
+    updateSyncControls() {
+        const hasSeveral = this.workspace.documents.length > 1;
+        this.syncTabsGroup.style.display = hasSeveral ? "flex" : "none";
+        if (!hasSeveral) {
+            this.syncTabsCheckbox.checked = false;
+        }
+    }
+
+    /**
+     * Returns the other open files that should receive the active file's edits.
+     * @returns {Array} Documents (empty unless "apply to all files" is checked).
+     */
+    getSyncedDocuments() {
+        return this.syncTabsCheckbox.checked ? this.workspace.getOtherDocuments() : [];
+    }
+
+    /**
+     * Replays a color edit on the other open files by remapping the same colors.
+     * @param {Object} colorMap - Previous color key → new color key.
+     */
+    syncColorEdit(colorMap) {
+        const documents = this.getSyncedDocuments();
+        if (documents.length === 0) return;
+
+        const recipe = this.recipeManager.createFromColorMap(colorMap);
+        documents.forEach((doc) => this.recipeManager.applyRecipe(recipe, doc.animData));
+    }
+
+    /**
+     * Records the color changes, HSL settings and locks since the last saved state as a history step.
+     * @param {string} [label] - Description of the step (changes saved without one are recorded as "Edit").
+     */
+    saveState(label) {
+        if (!this.animData) return;
+
+        const state = {
+            animData: this.animData,
+            hsl: this.hslManager.getCurrentAdjustments(),
+            lockedPaths: this.hslManager.lockedPaths,
+            originalAnimData: this.hslManager.originalAnimData
+        };
+        const step = this.historyManager.saveState(state, label);
+
+        // Synced files record the same step in their own history
+        this.getSyncedDocuments().forEach((doc) => {
+            doc.historyManager.saveState({
+                animData: doc.animData,
+                hsl: doc.hslManager.getCurrentAdjustments(),
+                lockedPaths: doc.hslManager.lockedPaths,
+                originalAnimData: doc.hslManager.originalAnimData
+            }, label);
+        });
+
+        if (step) {
+            this.renderHistory();
+            this.captureHistoryThumbnail(step);
+        }
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Describes the HSL shifts changed since the last saved state, e.g. "Hue +30°".
+     * @returns {string} History label.
+     */
+    describeHslChange() {
+        const previous = this.historyManager.hsl || { hue: 0, saturation: 0, lightness: 0 };
+        const current = this.hslManager.getCurrentAdjustments();
+        const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+        const parts = [];
+        if (current.hue !== previous.hue) parts.push(`Hue ${signed(current.hue)}°`);
+        if (current.saturation !== previous.saturation) parts.push(`Saturation ${signed(current.saturation)}%`);
+        if (current.lightness !== previous.lightness) parts.push(`Lightness ${signed(current.lightness)}%`);
+        return parts.length > 0 ? parts.join(", ") : "Adjust HSL";
+    }
+
+    /**
+     * Stores a thumbnail of the preview frame on a history step.
+     * @param {Object} step - Step just saved.
+     */
+    async captureHistoryThumbnail(step) {
+        const svgElement = document.getElementById("anim").querySelector("svg");
+        if (!svgElement) return;
+
+        step.thumbnail = await this.historyPanel.captureThumbnail(svgElement);
+        this.renderHistory();
+    }
+
+    /**
+     * Shows the active file's history and updates the Undo/Redo buttons.
+     */
+    renderHistory() {
+        const history = this.historyManager;
+        if (!history) {
+            this.historyPanel.clear();
+            this.undoBtn.disabled = true;
+            this.redoBtn.disabled = true;
+            return;
+        }
+
+        this.historyPanel.render(history);
+        this.undoBtn.disabled = !history.canUndo();
+        this.redoBtn.disabled = !history.canRedo();
+    }
+
+    /**
+     * Jumps to a step of the history panel.
+     * @param {number} position - Number of steps to have applied (0 = file as opened).
+     */
+    goToHistoryStep(position) {
+        if (!this.animData) return;
+        this.restoreHistoryState(this.historyManager.goTo(this.animData, position, this.hslManager.originalAnimData));
+    }
+
+    /**
+     * Continues from a branch of the history panel.
+     * @param {number} id - Branch id.
+     */
+    switchHistoryBranch(id) {
+        if (!this.animData) return;
+        this.restoreHistoryState(this.historyManager.switchBranch(this.animData, id, this.hslManager.originalAnimData));
+    }
+
+    /**
+     * Shows the state reached by Undo/Redo or a history jump
+     * (the history manager has already written its colors into the animation data and the HSL snapshot).
+     * @param {Object|null} state - HSL adjustments, locks and HSL snapshot to restore, or null if nothing changed.
+     */
+    restoreHistoryState(state) {
+        if (!state) return;
+
+        const { hsl } = state;
+        this.hslManager.originalAnimData = state.originalAnimData;
+        this.hslManager.setAdjustments(hsl.hue, hsl.saturation, hsl.lightness);
+        this.hslManager.clearLocks();
+        state.lockedPaths.forEach((path) => this.hslManager.lockPath(path));
+        this.updateHslUI(hsl.hue, hsl.saturation, hsl.lightness);
+
+        this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
+        this.reloadAnim();
+        this.applyCurrentFilter();
+        this.renderHistory();
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Reverts to the previous state in history (Undo).
+     */
+    undoChange() {
+        if (!this.animData) return;
+
+        // The step's old colors are written back into the animation data
+        this.restoreHistoryState(this.historyManager.undo(this.animData, this.hslManager.originalAnimData));
+    }
+
+    /**
+     * Advances to the next state in history (Redo).
+     */
+    redoChange() {
+        if (!this.animData) return;
+
+        this.restoreHistoryState(this.historyManager.redo(this.animData, this.hslManager.originalAnimData));
+    }
+
+    /**
+     * Resets the animation colors to the original loaded file data.
+     */
+    resetColors() {
+        if (!this.originalAnimData) return;
+
+        this.saveState();
+        this.animData = JSON.parse(JSON.stringify(this.originalAnimData));
+
+        this.hslManager.clear();
+        this.updateHslUI(0, 0, 0);
+
+        this.initializeColorEditor(this.animData);
+        this.reloadAnim();
+        this.saveState("Reset colors");
+    }
+
+    /**
+     * Applies HSL adjustments to the animation data, bypassing locked colors.
+     * @param {number} hue - Hue shift value (-180 to 180).
+     * @param {number} saturation - Saturation adjustment value (-100 to 100).
+     * @param {number} lightness - Lightness adjustment value (-100 to 100).
+     */
+    applyHslAdjustments(hue, saturation, lightness) {
+        if (!this.animData) return;
+
+        this.animData = this.hslManager.applyAdjustments(this.animData, hue, saturation, lightness);
+        this.getSyncedDocuments().forEach((doc) => {
+            doc.animData = doc.hslManager.applyAdjustments(doc.animData, hue, saturation, lightness);
+        });
+
+        this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
+        this.reloadAnim();
+        this.applyCurrentFilter();
+    }
+
+    /**
+     * Updates the HSL slider and input fields.
+     */
+    updateHslUI(hue, saturation, lightness) {
+        this.hueSlider.value = hue;
+        this.saturationSlider.value = saturation;
+        this.lightnessSlider.value = lightness;
+        this.hueInput.value = hue;
+        this.saturationInput.value = saturation;
+        this.lightnessInput.value = lightness;
+
+        const hasAdjustments = (hue !== 0 || saturation !== 0 || lightness !== 0);
+        this.resetHslBtn.disabled = !hasAdjustments;
+    }
+
+    /**
+     * Resets HSL adjustments and restores original animation data from the HSL Manager.
+     */
+    resetHslAdjustments() {
+        if (!this.animData) return;
+
+        this.saveState();
+
+        // Clear all locks as requested
+        this.hslManager.clearLocks();
+
+        const originalData = this.hslManager.reset();
+        if (originalData) {
+            this.animData = originalData;
+        }
+        this.getSyncedDocuments().forEach((doc) => {
+            doc.hslManager.clearLocks();
+            const docOriginalData = doc.hslManager.reset();
+            if (docOriginalData) {
+                doc.animData = docOriginalData;
+            }
+        });
+
+        this.hueSlider.value = 0;
+        this.saturationSlider.value = 0;
+        this.lightnessSlider.value = 0;
+        this.hueInput.value = 0;
+        this.saturationInput.value = 0;
+        this.lightnessInput.value = 0;
+        this.resetHslBtn.disabled = true;
+
+        this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
+        this.reloadAnim();
+        this.applyCurrentFilter();
+        this.saveState("Reset HSL");
+    }
+
+    /**
+     * Parses a palette file and opens the mapping review modal.
+     * @param {File} file - Palette file (.json, .css, .gpl or .ase)
+     */
+    async handlePaletteFile(file) {
+        if (!this.animData) return;
+
+        try {
+            const buffer = await file.arrayBuffer();
+            const palette = this.paletteMapper.parse(file.name, buffer);
+
+            // Map every color of the file (not just the current filter or layer scope)
+            const groupedColors = this.colorExtractor.groupInstances(this.allExtractedColors);
+            this.paletteMapping = this.paletteMapper.proposeMapping(groupedColors, palette);
+
+            this.paletteDescription.textContent =
+                `${palette.length} colors loaded from ${file.name}. Review the proposed mapping for each color.`;
+            this.renderPaletteMapping(palette);
+            this.showPaletteModal();
+        } catch (error) {
+            console.error("Error loading palette file:", error);
+            alert(`An error occurred while loading the palette. Error detail: ${error.message}`);
+        }
+    }
+
+    /**
+     * Renders one row per color group with a palette entry selector.
+     * @param {Array} palette - Palette entries ({ name, hex })
+     */
+    renderPaletteMapping(palette) {
+        this.paletteMappingList.innerHTML = "";
+
+        this.paletteMapping.forEach((row) => {
+            const rowEl = document.createElement("div");
+            rowEl.className = "palette-row";
+
+            const source = document.createElement("span");
+            source.className = "palette-swatch";
+            source.style.background = row.group.hex;
+
+            const label = document.createElement("span");
+            label.className = "palette-source-label";
+            label.textContent = `${row.group.hex} (${row.group.count})`;
+
+            const arrow = document.createElement("span");
+            arrow.className = "palette-arrow";
+            arrow.textContent = "→";
+
+            const target = document.createElement("span");
+            target.className = "palette-swatch";
+
+            const select = document.createElement("select");
+            select.className = "palette-select";
+            const keepOption = document.createElement("option");
+            keepOption.value = "";
+            keepOption.textContent = "Keep";
+            select.appendChild(keepOption);
+            palette.forEach((entry) => {
+                const option = document.createElement("option");
+                option.value = entry.hex;
+                option.textContent = `${entry.name} (${entry.hex})`;
+                select.appendChild(option);
+            });
+            select.value = row.target;
+
+            const distance = document.createElement("span");
+            distance.className = "palette-distance";
+
+            const updateTarget = () => {
+                row.target = select.value;
+                target.style.background = row.target || row.group.hex;
+                distance.textContent = row.target ? `ΔE ${hexDeltaE(row.group.hex, row.target).toFixed(1)}` : "";
+            };
+            select.onchange = updateTarget;
+            updateTarget();
+
+            rowEl.appendChild(source);
+            rowEl.appendChild(label);
+            rowEl.appendChild(arrow);
+            rowEl.appendChild(target);
+            rowEl.appendChild(select);
+            rowEl.appendChild(distance);
+            this.paletteMappingList.appendChild(rowEl);
+        });
+    }
+
+    /**
+     * Applies the reviewed palette mapping as a single history step.
+     */
+    applyPaletteMapping() {
+        const rows = this.paletteMapping.filter((row) => row.target && row.target !== row.group.hex);
+        this.closePaletteModal();
+        if (rows.length === 0) return;
+
+        this.saveState();
+
+        // The HSL snapshot gets the same colors (found by path), so the shifts apply on top of them
+        const originalInstances = new Map();
+        if (this.hslManager.originalAnimData) {
+            this.colorExtractor.extractColors(this.hslManager.originalAnimData)
+                .forEach((instance) => originalInstances.set(instance.path, instance));
+        }
+
+        rows.forEach((row) => {
+            // Keep each instance's own alpha; only the color changes
+            row.group.instances.forEach((instance) => {
+                writeInstanceColor(instance, row.target, instance.alpha);
+                const original = originalInstances.get(instance.path);
+                if (original) {
+                    writeInstanceColor(original, row.target, original.alpha);
+                }
+            });
+        });
+
+        if (this.hslManager.hasAdjustments()) {
+            const { hue, saturation, lightness } = this.hslManager.getCurrentAdjustments();
+            this.animData = this.hslManager.applyAdjustments(this.animData, hue, saturation, lightness);
+        }
+
+        this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
+        this.reloadAnim();
+        this.applyCurrentFilter();
+        this.saveState("Apply palette");
+    }
+
+    /**
+     * Displays the palette mapping modal.
+     */
+    showPaletteModal() {
+        this.paletteModal.style.display = "flex";
+        setTimeout(() => this.paletteModal.classList.add("show"), 10);
+    }
+
+    /**
+     * Closes the palette mapping modal.
+     */
+    closePaletteModal() {
+        this.paletteModal.classList.remove("show");
+        setTimeout(() => {
+            this.paletteModal.style.display = "none";
+        }, 300);
+    }
+
+    /**
+     * Displays the modal that turns static colors into keyframes.
+     * @param {Array} instances - Static color instances of one card (they share the same color)
+     */
+    showAnimateModal(instances) {
+        if (!this.animData) return;
+
+        this.animateInstances = instances;
+        const { hex, alpha } = instances[0];
+        const count = instances.length;
+        this.animateDescription.textContent =
+            `Turn ${appendAlphaToHex(hex, alpha).toUpperCase()} (${count} ${count === 1 ? "instance" : "instances"}) ` +
+            "into keyframes that alternate between it and a second color.";
+        this.colorRenderer.paintSwatch(this.animateFromSwatch, hex, alpha);
+
+        if (this.animatePicker) {
+            this.animatePicker.destroy();
+        }
+        this.animatePicker = new ColorPicker({
+            initialColor: appendAlphaToHex(hex, alpha),
+            container: this.animateToContainer,
+            showAlpha: true,
+        });
+
+        // Default: one pulse over the whole animation
+        const start = this.animData.ip || 0;
+        const end = this.animData.op || 0;
+        this.animateFramesInput.value = [start, Math.round((start + end) / 2), end].join(", ");
+
+        this.animateModal.style.display = "flex";
+        setTimeout(() => this.animateModal.classList.add("show"), 10);
+    }
+
+    /**
+     * Closes the animate color modal.
+     */
+    closeAnimateModal() {
+        if (this.animatePicker) {
+            this.animatePicker.close();
+        }
+        this.animateModal.classList.remove("show");
+        setTimeout(() => {
+            this.animateModal.style.display = "none";
+        }, 300);
+    }
+
+    /**
+     * Turns the static colors of the animate modal into keyframes, as a single history step.
+     * Keyframes alternate between each color's own value and the chosen color.
+     */
+    applyAnimateColor() {
+        const frames = [...new Set(this.animateFramesInput.value.split(/[\s,;]+/).filter(Boolean).map(Number))];
+        if (frames.length < 2 || frames.some(isNaN)) {
+            alert("Enter at least two frame numbers, separated by commas.");
+            return;
+        }
+
+        const instances = this.animateInstances;
+        const { hex, alpha, rgb } = this.animatePicker.getColorObject();
+        const toColor = [rgb.r / 255, rgb.g / 255, rgb.b / 255, alpha];
+        const fromHex = appendAlphaToHex(instances[0].hex, instances[0].alpha).toUpperCase();
+        const easing = this.animateEasingSelect.value;
+        this.closeAnimateModal();
+
+        this.saveState();
+        instances.forEach((instance) => {
+            const property = instance.ref;
+            if (property.a === 1) return; // Already animated through another instance
+
+            // Frames are entered in composition time; keyframes use the layer's own time
+            const { offset, scale } = getLayerTiming(this.animData, instance.layerPath);
+            const animate = (target) => {
+                const [r, g, b, a = 1] = target.k;
+                animateColor(target, frames.map((frame, i) => ({
+                    t: Math.round(((frame - offset) / scale) * 100) / 100,
+                    color: i % 2 === 0 ? [r, g, b, a] : toColor,
+                })), easing);
+            };
+            animate(property);
+
+            // The HSL snapshot gets the same keyframes, starting from its own pre-shift color
+            const original = this.hslManager.getOriginalAt(instance.path);
+            if (original && original.a !== 1) {
+                animate(original);
+            }
+            this.hslManager.spreadLock(instance.path, frames.length);
+        });
+
+        this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
+        this.reloadAnim();
+        this.applyCurrentFilter();
+        const count = instances.length;
+        this.saveState(
+            `Animated ${fromHex} ↔ ${appendAlphaToHex(hex, alpha).toUpperCase()} (${count} ${count === 1 ? "instance" : "instances"})`
+        );
+    }
+
+    /**
+     * Downloads the applied color changes (color map, HSL shifts, locked paths) as a recipe file.
+     */
+    saveRecipe() {
+        if (!this.originalAnimData) return;
+
+        // Manual edits live in the HSL snapshot while shifts are active; the shifts are stored separately
+        const baseAnimData = this.hslManager.hasAdjustments() && this.hslManager.originalAnimData
+            ? this.hslManager.originalAnimData
+            : this.animData;
+
+        const recipe = this.recipeManager.createRecipe(
+            this.originalAnimData,
+            baseAnimData,
+            this.animData,
+            this.hslManager.getCurrentAdjustments(),
+            this.hslManager.lockedPaths
+        );
+        this.exportManager.downloadFile(JSON.stringify(recipe, null, 2), "lottie-recipe.json", "application/json");
+    }
+
+    /**
+     * Applies a recipe file to the current animation as a single history step
+     * and reports the entries that did not match anything.
+     * @param {File} file - Recipe JSON file
+     */
+    async handleRecipeFile(file) {
+        if (!this.animData) return;
+
+        let recipe;
+        try {
+            recipe = this.recipeManager.parse(await file.text());
+        } catch (error) {
+            console.error("Error loading recipe file:", error);
+            alert(`An error occurred while loading the recipe. Error detail: ${error.message}`);
+            return;
+        }
+
+        this.saveState();
+
+        let result;
+        const original = this.hslManager.originalAnimData;
+        if (original) {
+            // Recipe colors are pre-shift colors: apply them to the HSL snapshot (after bringing in the
+            // current locked colors and alpha) and rebuild the current data from it
+            this.hslManager.syncLockedColors(this.animData);
+            this.hslManager.syncAlphaAndOpacity(this.animData, original);
+            result = this.recipeManager.applyRecipe(recipe, original);
+            this.animData = JSON.parse(JSON.stringify(original));
+        } else {
+            result = this.recipeManager.applyRecipe(recipe, this.animData);
+        }
+
+        this.hslManager.clearLocks();
+        result.lockedPaths.forEach((path) => this.hslManager.lockPath(path));
+
+        const { hue, saturation, lightness } = recipe.hsl;
+        if (original || hue !== 0 || saturation !== 0 || lightness !== 0) {
+            this.animData = this.hslManager.applyAdjustments(this.animData, hue, saturation, lightness);
+        }
+        this.updateHslUI(hue, saturation, lightness);
+
+        this.allExtractedColors = this.colorExtractor.extractColors(this.animData);
+        this.reloadAnim();
+        this.applyCurrentFilter();
+        this.saveState("Apply recipe");
+
+        const unmatched = [
+            ...result.unmatchedColors.map((hex) => `Color ${hex} → ${recipe.colorMap[hex]}`),
+            ...result.unmatchedPaths.map((path) => `Locked path ${path}`),
+        ];
+        if (unmatched.length > 0) {
+            alert(`Recipe applied. ${unmatched.length} entries did not match anything in this file:\n\n${unmatched.join("\n")}`);
+        } else {
+            alert("Recipe applied. All entries matched.");
+        }
+    }
+
+    /**
+     * Toggles the animation play/pause state.
+     */
+    togglePlay() {
+        const isPaused = this.animController.togglePlay();
+        this.playPauseBtn.textContent = isPaused ? "Play" : "Pause";
+    }
+
+    /**
+     * Displays the export modal and pauses the animation.
+     */
+    showExportModal() {
+        if (!this.originalAnimData) {
+            alert("Please load a Lottie or TGS file first.");
+            return;
+        }
+
+        this.wasPlayingBeforeModal = !this.animController.getState().isPaused;
+        if (this.wasPlayingBeforeModal) {
+            this.animController.pause();
+            this.playPauseBtn.textContent = "Play";
+        }
+
+        this.modal.style.display = "flex";
+        this.updateOptimizeSizes();
+        this.exportZipSection.style.display = this.workspace.documents.length > 1 ? "block" : "none";
+
+        const currentFrame = Math.round(this.slider.value);
+        this.exportFrameInput.value = currentFrame;
+        this.exportFrameInput.max = this.slider.max;
+
+        // Animation export defaults: full size, whole timeline, native frame rate
+        if (!this.animationExportAbort) {
+            this.animExportWidth.value = this.animData.w;
+            this.animExportHeight.value = this.animData.h;
+            this.animExportStart.value = 0;
+            this.animExportEnd.value = this.slider.max;
+            this.animExportStart.max = this.slider.max;
+            this.animExportEnd.max = this.slider.max;
+            this.animExportFps.value = Math.min(60, Math.round(this.animData.fr || 30));
+            this.animExportProgressRow.style.display = "none";
+        }
+
+        setTimeout(() => this.modal.classList.add("show"), 10);
+    }
+
+    /**
+     * Closes the export modal and resumes the animation if it was playing.
+     */
+    closeModal() {
+        this.cancelAnimationExport();
+        this.modal.classList.remove("show");
+        setTimeout(() => {
+            this.modal.style.display = "none";
+
+            if (this.wasPlayingBeforeModal) {
+                this.animController.togglePlay();
+                this.playPauseBtn.textContent = "Pause";
+                this.wasPlayingBeforeModal = false;
+            }
+        }, 300);
+    }
+
+    /**
+     * Initiates the export process for JSON, TGS or dotLottie.
+     * @param {string} format - 'json', 'tgs' or 'lottie'.
+     */
+    handleExport(format) {
+        this.closeModal();
+        let exportData = this.exportManager.buildExportData(
+            this.originalAnimData,
+            this.animData,
+            (src, tgt) => this.fileHandler.deepTraverseAndCopyColors(src, tgt)
+        );
+        const optimizeOptions = this.getOptimizeOptions();
+        if (optimizeOptions) {
+            exportData = this.optimizer.optimize(exportData, optimizeOptions);
+        }
+
+        if (format === "lottie") {
+            this.downloadDotLottie(exportData);
+            return;
+        }
+
+        // Telegram rejects stickers that break its rules, so check them before writing the file
+        if (format === "tgs") {
+            const issues = this.tgsValidator.validate(exportData);
+            if (issues.length > 0) {
+                this.tgsExportData = exportData;
+                this.renderTgsIssues(issues);
+                this.showTgsModal();
+                return;
+            }
+        }
+
+        this.downloadExport(exportData, format);
+    }
+
+    /**
+     * Downloads the active animation as a dotLottie file. Animations opened from a .lottie
+     * are written back into their archive, together with the edits of its other open animations.
+     * @param {Object} exportData - Export data of the active animation.
+     */
+    downloadDotLottie(exportData) {
+        const active = this.workspace.activeDocument;
+        const { archive, animationId } = active.dotLottie || { archive: null, animationId: "animation" };
+
+        const animations = {};
+        if (archive) {
+            this.workspace.getOtherDocuments()
+                .filter((doc) => doc.dotLottie && doc.dotLottie.archive === archive)
+                .forEach((doc) => {
+                    animations[doc.dotLottie.animationId] = this.exportManager.buildExportData(
+                        doc.originalAnimData,
+                        doc.animData,
+                        (src, tgt) => this.fileHandler.deepTraverseAndCopyColors(src, tgt)
+                    );
+                });
+        }
+        animations[animationId] = exportData;
+
+        try {
+            const { content, filename, mimeType } = this.exportManager.buildDotLottie(archive, animations);
+            this.exportManager.downloadFile(content, filename, mimeType);
+        } catch (error) {
+            console.error("Error exporting dotLottie file:", error);
+            alert(`An error occurred while exporting the .lottie file. Error detail: ${error.message}`);
+        }
+    }
+
+    /**
+     * Exports the animation with its color manifest, CSS variables and the runtime override helper, as a ZIP.
+     */
+    handleColorKitExport() {
+        this.closeModal();
+        try {
+            let exportData = this.exportManager.buildExportData(
+                this.originalAnimData,
+                this.animData,
+                (src, tgt) => this.fileHandler.deepTraverseAndCopyColors(src, tgt)
+            );
+            const optimizeOptions = this.getOptimizeOptions();
+            if (optimizeOptions) {
+                exportData = this.optimizer.optimize(exportData, optimizeOptions);
+            }
+
+            // The manifest is built from the shipped data so its paths match after optimization
+            const manifest = this.colorManifest.create(exportData);
+            const { content, filename, mimeType } = this.exportManager.buildColorKit(
+                exportData,
+                manifest,
+                this.colorManifest.buildRuntimeSource(),
+                this.colorManifest.buildCssSource(manifest)
+            );
+            this.exportManager.downloadFile(content, filename, mimeType);
+        } catch (error) {
+            console.error("Error exporting color manifest:", error);
+            alert(`An error occurred while exporting the color manifest. Error detail: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reads the optimization settings of the export modal.
+     * @returns {Object|null} Options for LottieOptimizer.optimize(), or null when optimization is off.
+     */
+    getOptimizeOptions() {
+        if (!this.optimizeExportCheckbox.checked) return null;
+        return {
+            precision: parseInt(this.optimizePrecision.value),
+            removeUnusedAssets: this.optimizeUnusedAssets.checked,
+            removeHiddenLayers: this.optimizeHiddenLayers.checked,
+            removeMetadata: this.optimizeMetadata.checked,
+        };
+    }
+
+    /**
+     * Shows the JSON and gzipped TGS sizes before and after optimization.
+     */
+    updateOptimizeSizes() {
+        const options = this.getOptimizeOptions();
+        this.optimizeSettings.style.display = options ? "flex" : "none";
+        if (!options || !this.originalAnimData) return;
+
+        const exportData = this.exportManager.buildExportData(
+            this.originalAnimData,
+            this.animData,
+            (src, tgt) => this.fileHandler.deepTraverseAndCopyColors(src, tgt)
+        );
+        const before = this.optimizer.getSizes(exportData);
+        const after = this.optimizer.getSizes(this.optimizer.optimize(exportData, options));
+
+        const formatSize = (bytes) => bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+        const describe = (label, from, to) =>
+            `${label}: ${formatSize(from)} → ${formatSize(to)} (−${Math.max(0, Math.round((1 - to / from) * 100))}%)`;
+        this.optimizeSizes.textContent =
+            `${describe("JSON", before.json, after.json)} · ${describe("TGS", before.gzip, after.gzip)}`;
+    }
+
+    /**
+     * Writes export data to a JSON or TGS file and downloads it.
+     * @param {Object} exportData - Animation data to export.
+     * @param {string} format - 'json' or 'tgs'.
+     */
+    downloadExport(exportData, format) {
+        const { content, filename, mimeType } = this.exportManager.serialize(exportData, format);
+        this.exportManager.downloadFile(content, filename, mimeType);
+    }
+
+    /**
+     * Lists the sticker rule violations of the data under review.
+     * @param {Array} issues - Violations from TgsValidator.validate().
+     */
+    renderTgsIssues(issues) {
+        this.tgsIssues = issues;
+        this.tgsIssueList.innerHTML = "";
+
+        const fixableCount = issues.filter((issue) => issue.fixable).length;
+        this.tgsDescription.textContent = issues.length === 0
+            ? "The sticker meets Telegram's requirements."
+            : `${issues.length} problem(s) found, ${fixableCount} can be fixed automatically. ` +
+              "Fixes only change the exported file, not the animation in the editor.";
+
+        issues.forEach((issue) => {
+            const item = document.createElement("li");
+            item.className = "tgs-issue";
+
+            const message = document.createElement("span");
+            message.className = "tgs-issue-message";
+            message.textContent = issue.message;
+            item.appendChild(message);
+
+            if (issue.path) {
+                const path = document.createElement("span");
+                path.className = "tgs-issue-path";
+                path.textContent = issue.path;
+                item.appendChild(path);
+            }
+
+            const tag = document.createElement("span");
+            tag.className = issue.fixable ? "tgs-issue-tag fixable" : "tgs-issue-tag";
+            tag.textContent = issue.fixable ? "Auto-fix" : "Manual";
+            item.appendChild(tag);
+
+            this.tgsIssueList.appendChild(item);
+        });
+
+        this.tgsFixBtn.disabled = fixableCount === 0;
+        this.tgsExportBtn.textContent = issues.length === 0 ? "Export .tgs" : "Export Anyway";
+    }
+
+    /**
+     * Applies every automatic fix to the sticker under review and checks it again.
+     */
+    applyTgsFixes() {
+        const rules = this.tgsIssues.filter((issue) => issue.fixable).map((issue) => issue.rule);
+        try {
+            this.tgsExportData = this.tgsValidator.fix(this.tgsExportData, rules);
+            this.renderTgsIssues(this.tgsValidator.validate(this.tgsExportData));
+        } catch (error) {
+            console.error("Error fixing sticker:", error);
+            alert(`An error occurred while fixing the sticker. Error detail: ${error.message}`);
+        }
+    }
+
+    /**
+     * Displays the TGS check modal.
+     */
+    showTgsModal() {
+        this.tgsModal.style.display = "flex";
+        setTimeout(() => this.tgsModal.classList.add("show"), 10);
+    }
+
+    /**
+     * Closes the TGS check modal and drops the data under review.
+     */
+    closeTgsModal() {
+        this.tgsExportData = null;
+        this.tgsModal.classList.remove("show");
+        setTimeout(() => {
+            this.tgsModal.style.display = "none";
+        }, 300);
+    }
+
+    /**
+     * Exports every open file into a single ZIP archive.
+     */
+    handleZipExport() {
+        this.closeModal();
+        this.exportManager.exportZip(
+            this.workspace.documents,
+            (src, tgt) => this.fileHandler.deepTraverseAndCopyColors(src, tgt)
+        );
+    }
+
+    /**
+     * Renders the animation to GIF, APNG, WebM, a PNG sequence or a sprite sheet
+     * with the options from the export modal.
+     */
+    async handleAnimationExport() {
+        if (!this.animData || this.animationExportAbort) return;
+
+        const format = this.animExportFormat.value;
+        const width = parseInt(this.animExportWidth.value);
+        const height = parseInt(this.animExportHeight.value);
+        const startFrame = parseInt(this.animExportStart.value);
+        const endFrame = parseInt(this.animExportEnd.value);
+        const fps = parseInt(this.animExportFps.value);
+        const lastFrame = parseInt(this.slider.max);
+
+        if (!(width > 0 && width <= 4096 && height > 0 && height <= 4096)) {
+            alert("Please enter a size between 1 and 4096 pixels.");
+            return;
+        }
+        if (isNaN(startFrame) || isNaN(endFrame) || startFrame < 0 || endFrame > lastFrame || startFrame > endFrame) {
+            alert(`Please enter a frame range between 0 and ${lastFrame}.`);
+            return;
+        }
+        if (!(fps > 0 && fps <= 60)) {
+            alert("Please enter a frame rate between 1 and 60.");
+            return;
+        }
+
+        const options = {
+            width,
+            height,
+            startFrame,
+            endFrame,
+            fps,
+            background: this.animExportTransparent.checked ? null : this.animExportBackground.value,
+            columns: parseInt(this.animExportColumns.value) || null,
+        };
+
+        this.animationExportAbort = new AbortController();
+        this.setAnimationExportBusy(true);
+
+        try {
+            const files = await this.animationExporter.export(
+                this.animData,
+                format,
+                options,
+                (done, total) => {
+                    this.animExportProgress.max = total;
+                    this.animExportProgress.value = done;
+                    this.animExportStatus.textContent = `Frame ${done} / ${total}`;
+                },
+                this.animationExportAbort.signal
+            );
+            files.forEach(({ blob, filename }) => this.exportManager.downloadFile(blob, filename, blob.type));
+            this.animExportStatus.textContent = "Done";
+        } catch (error) {
+            if (error.name === "AbortError") {
+                this.animExportStatus.textContent = "Cancelled";
+            } else {
+                console.error("Error exporting animation:", error);
+                this.animExportStatus.textContent = "Failed";
+                alert(`An error occurred while exporting the animation. Error detail: ${error.message}`);
+            }
+        } finally {
+            this.animationExportAbort = null;
+            this.setAnimationExportBusy(false);
+        }
+    }
+
+    /**
+     * Cancels the running animation export, if any.
+     */
+    cancelAnimationExport() {
+        if (this.animationExportAbort) {
+            this.animationExportAbort.abort();
+        }
+    }
+
+    /**
+     * Switches the animation export controls between idle and exporting.
+     * @param {boolean} busy - Whether an export is running.
+     */
+    setAnimationExportBusy(busy) {
+        this.exportAnimationBtn.disabled = busy;
+        this.cancelAnimationExportBtn.style.display = busy ? "block" : "none";
+        if (busy) {
+            this.animExportProgress.value = 0;
+            this.animExportStatus.textContent = "Loading…";
+            this.animExportProgressRow.style.display = "flex";
+        }
+    }
+
+    /**
+     * Renders the chosen frame off-screen and exports it as a PNG or WebP image.
+     * @param {string} format - 'png' or 'webp'.
+     */
+    async handleFrameImageExport(format) {
+        const frame = parseInt(this.exportFrameInput.value);
+        if (isNaN(frame) || frame < 0 || frame > parseInt(this.slider.max)) {
+            alert("Please enter a valid frame number.");
+            return;
+        }
+
+        let width;
+        let height;
+        if (this.frameExportScale.value === "custom") {
+            width = parseInt(this.frameExportWidth.value);
+            height = parseInt(this.frameExportHeight.value);
+        } else {
+            const scale = parseInt(this.frameExportScale.value);
+            width = Math.round(this.animData.w * scale);
+            height = Math.round(this.animData.h * scale);
+        }
+        if (!(width > 0 && width <= 8192 && height > 0 && height <= 8192)) {
+            alert("Please enter a size between 1 and 8192 pixels.");
+            return;
+        }
+
+        try {
+            const { blob, filename } = await this.animationExporter.exportFrame(this.animData, frame, {
+                format,
+                width,
+                height,
+                background: this.frameExportTransparent.checked ? null : this.frameExportBackground.value,
+            });
+            this.exportManager.downloadFile(blob, filename, blob.type);
+            this.closeModal();
+        } catch (error) {
+            console.error("Error exporting frame:", error);
+            alert(`An error occurred while exporting the frame. Error detail: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handles exporting the current frame as an SVG file.
+     */
+    handleSvgExport() {
+        const frame = parseInt(this.exportFrameInput.value);
+        if (isNaN(frame) || frame < 0) {
+            alert("Please enter a valid frame number.");
+            return;
         }
 
         const wasPaused = this.animController.getState().isPaused;
@@ -581,15 +2256,21 @@ class LottieEditor {
             return c.shapeType.toLowerCase().includes(filterType.toLowerCase());
         };
 
+        // Restrict to the layer/group selected in the layer tree
+        const inScope = (c) => this.layerTree.containsPath(c.path);
+
         if (isGrouped) {
-            // Filter grouped colors by checking if any instance matches the filter condition
-            const groupedColors = this.colorExtractor.getGroupedColors();
+            // Filter grouped colors by checking if any instance matches the filter condition.
+            // When a layer is selected, regroup only its instances so edits stay inside that subtree.
+            const groupedColors = this.layerTree.hasScope()
+                ? this.colorExtractor.groupInstances(this.allExtractedColors.filter(inScope))
+                : this.colorExtractor.getGroupedColors();
             colorsToRender = Object.values(groupedColors).filter((g) => {
                 return g.instances.some(filterCondition);
             });
         } else {
             // Filter individual color instances
-            colorsToRender = this.allExtractedColors.filter(filterCondition);
+            colorsToRender = this.allExtractedColors.filter((c) => inScope(c) && filterCondition(c));
         }
 
         document.querySelectorAll(".filter-btn").forEach((btn) => btn.classList.remove("active"));
@@ -600,10 +2281,41 @@ class LottieEditor {
         this.colorRenderer.renderColors(colorsToRender, isGrouped, filterType);
     }
 
+    /**
+     * Scrolls to the color cards of a shape or layer clicked in the preview.
+     * @param {string} elementPath - Path of the clicked shape or layer
+     */
+    focusColorsOf(elementPath) {
+        if (this.colorRenderer.focusElementPath(elementPath)) return;
+
+        // The cards may be hidden by the current filter or layer scope
+        this.currentFilter = "All";
+        this.layerTree.selectRoot();
+        this.applyCurrentFilter();
+        this.colorRenderer.focusElementPath(elementPath);
+    }
+
+    /**
+     * Pauses the preview on a composition frame (e.g. a keyframe clicked in a timeline).
+     * @param {number} frame - Composition frame (the preview counts from the animation's in point).
+     */
+    seekToFrame(frame) {
+        if (!this.animData) return;
+
+        const previewFrame = Math.max(0, Math.min(frame - (this.animData.ip || 0), parseFloat(this.slider.max)));
+        this.animController.pause();
+        this.animController.goToFrame(previewFrame, true);
+        this.slider.value = previewFrame;
+        this.frameInput.value = Math.round(previewFrame);
+        this.playPauseBtn.textContent = "Play";
+    }
+
     /**
      * Reloads the animation with the current modified data.
      */
     reloadAnim() {
+        this.highlighter.setColors(this.allExtractedColors);
+
         const shouldPlayAfterReload = this.animController.loadAnimation(
             this.animData,
             (totalFrames) => {
@@ -616,7 +2328,8 @@ class LottieEditor {
                 // Update frame controls during playback
                 this.slider.value = currentFrame;
                 this.frameInput.value = Math.round(currentFrame);
-            }
+            },
+            (data) => this.highlighter.tagAnimationData(data)
         );
 
         if (this.animData) {
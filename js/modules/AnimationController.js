@@ -2,9 +2,17 @@
  * Controls Lottie animation playback and state
  */
 export class AnimationController {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - Id of the element the animation renders into
+     * @param {Object} options - lottie-web renderer ("svg" or "canvas") and rendererSettings
+     */
+    constructor(containerId, { renderer = "svg", rendererSettings = {} } = {}) {
         this.containerId = containerId;
+        this.renderer = renderer;
+        this.rendererSettings = rendererSettings;
         this.anim = null;
+        this.compareContainerId = null;
+        this.compareAnim = null; // Second instance following this timeline (before/after comparison)
         this.playerState = {
             isPaused: true,
             currentFrame: 0.0,
@@ -16,8 +24,9 @@ export class AnimationController {
      * @param {Object} animData - Animation data to load
      * @param {Function} onDOMLoaded - Callback when DOM is loaded
      * @param {Function} onEnterFrame - Callback on each frame
+     * @param {Function} prepareData - Optional hook to modify the copy of the data handed to lottie-web
      */
-    loadAnimation(animData, onDOMLoaded, onEnterFrame) {
+    loadAnimation(animData, onDOMLoaded, onEnterFrame, prepareData) {
         // Destroy existing animation
         if (this.anim) {
             this.playerState.currentFrame = this.anim.currentFrame;
@@ -27,12 +36,18 @@ export class AnimationController {
 
         const shouldPlayAfterReload = !this.playerState.isPaused;
 
+        let animationData = JSON.parse(JSON.stringify(animData));
+        if (prepareData) {
+            animationData = prepareData(animationData);
+        }
+
         this.anim = lottie.loadAnimation({
             container: document.getElementById(this.containerId),
-            renderer: "svg",
+            renderer: this.renderer,
             loop: true,
             autoplay: false,
-            animationData: JSON.parse(JSON.stringify(animData)),
+            animationData: animationData,
+            rendererSettings: this.rendererSettings,
         });
 
         this.anim.addEventListener("DOMLoaded", () => {
@@ -49,7 +64,9 @@ export class AnimationController {
             }
         });
 
+        // Also fires on goToAndStop, so scrubbing keeps the comparison in step
         this.anim.addEventListener("enterFrame", () => {
+            this.syncComparison();
             if (onEnterFrame) {
                 onEnterFrame(this.anim.currentFrame);
             }
@@ -58,6 +75,61 @@ export class AnimationController {
         return shouldPlayAfterReload;
     }
 
+    /**
+     * Load a second animation that follows this controller's timeline (play, pause, scrub)
+     * @param {string} containerId - Id of the element the comparison renders into
+     * @param {Object} animData - Animation data to compare against
+     */
+    loadComparison(containerId, animData) {
+        this.clearComparison();
+        this.compareContainerId = containerId;
+
+        this.compareAnim = lottie.loadAnimation({
+            container: document.getElementById(containerId),
+            renderer: this.renderer,
+            loop: true,
+            autoplay: false,
+            animationData: JSON.parse(JSON.stringify(animData)),
+            rendererSettings: this.rendererSettings,
+        });
+        this.compareAnim.addEventListener("DOMLoaded", () => this.syncComparison());
+    }
+
+    /**
+     * Destroy the comparison animation, if any
+     */
+    clearComparison() {
+        if (this.compareAnim) {
+            this.compareAnim.destroy();
+            this.compareAnim = null;
+            document.getElementById(this.compareContainerId).innerHTML = "";
+        }
+    }
+
+    /**
+     * Show the frame of the main animation in the comparison. The comparison never plays
+     * on its own, so both instances cannot drift apart.
+     */
+    syncComparison() {
+        if (this.compareAnim && this.anim && this.compareAnim.isLoaded) {
+            this.compareAnim.goToAndStop(this.anim.currentFrame, true);
+        }
+    }
+
+    /**
+     * Destroy the animation and empty the container (no file open)
+     */
+    clear() {
+        this.clearComparison();
+        if (this.anim) {
+            this.anim.destroy();
+            this.anim = null;
+        }
+        document.getElementById(this.containerId).innerHTML = "";
+        this.playerState.isPaused = true;
+        this.playerState.currentFrame = 0;
+    }
+
     /**
      * Toggle play/pause state
      * @returns {boolean} New paused state
@@ -0,0 +1,232 @@
+import { FrameRasterizer } from "./FrameRasterizer.js";
+import { GifEncoder } from "./GifEncoder.js";
+import { ApngEncoder } from "./ApngEncoder.js";
+import { WebmRecorder } from "./WebmRecorder.js";
+import { createZip } from "../utils/zip.js";
+
+const FORMATS = {
+    gif: { extension: "gif", mimeType: "image/gif" },
+    apng: { extension: "png", mimeType: "image/apng" },
+    webm: { extension: "webm", mimeType: "video/webm" },
+    "png-sequence": { extension: "zip", mimeType: "application/zip" },
+    "sprite-sheet": { extension: "zip", mimeType: "application/zip" },
+};
+
+// Largest canvas side most browsers can allocate
+const MAX_CANVAS_SIZE = 16384;
+
+/**
+ * Encode a canvas as PNG
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @returns {Promise<Blob>} PNG image
+ */
+function canvasToPng(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Could not encode PNG"))), "image/png");
+    });
+}
+
+/**
+ * Exports the animation as an animated GIF, APNG, WebM video, PNG sequence or sprite sheet
+ * by rasterizing it frame by frame
+ */
+export class AnimationExporter {
+    /**
+     * @param {Object} codec - Codec with deflate(Uint8Array) => Uint8Array for APNG (defaults to the global pako)
+     */
+    constructor(codec = globalThis.pako) {
+        this.codec = codec;
+    }
+
+    /**
+     * List the frames to render for a frame range resampled to the output frame rate
+     * @param {Object} animData - Animation data (its "fr" is the source frame rate)
+     * @param {number} startFrame - First frame
+     * @param {number} endFrame - Last frame (inclusive)
+     * @param {number} fps - Output frames per second
+     * @returns {number[]} Frame numbers (may be fractional)
+     */
+    getFrameNumbers(animData, startFrame, endFrame, fps) {
+        const step = (animData.fr || fps) / fps;
+        const frames = [];
+        for (let i = 0; startFrame + i * step <= endFrame + 1e-6; i++) {
+            frames.push(startFrame + i * step);
+        }
+        return frames;
+    }
+
+    /**
+     * Get the grid of a sprite sheet
+     * @param {number} frameCount - Number of frames
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {number} [columns] - Requested columns (default: as square as possible)
+     * @returns {{columns: number, rows: number}} Sheet grid
+     */
+    getSheetLayout(frameCount, width, height, columns) {
+        const cols = Math.max(1, Math.min(frameCount, columns || Math.ceil(Math.sqrt(frameCount))));
+        const rows = Math.ceil(frameCount / cols);
+        if (cols * width > MAX_CANVAS_SIZE || rows * height > MAX_CANVAS_SIZE) {
+            throw new Error(`The sprite sheet would be ${cols * width}x${rows * height} pixels; ` +
+                `reduce the size, frame range or frame rate (max ${MAX_CANVAS_SIZE} per side)`);
+        }
+        return { columns: cols, rows };
+    }
+
+    /**
+     * Render a single frame off-screen and encode it as PNG or WebP
+     * @param {Object} animData - Animation data
+     * @param {number} frame - Frame number
+     * @param {Object} options - { format ('png' or 'webp'), width, height, background } (background null = transparent)
+     * @returns {Promise<{blob: Blob, filename: string}>} Exported image
+     */
+    async exportFrame(animData, frame, { format, width, height, background }) {
+        const mimeType = format === "webp" ? "image/webp" : "image/png";
+        const rasterizer = new FrameRasterizer();
+
+        try {
+            await rasterizer.load(animData, width, height);
+            const canvas = rasterizer.renderFrame(frame, background);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, mimeType, 0.92));
+
+            // Browsers without an encoder for the type silently fall back to PNG
+            if (!blob || blob.type !== mimeType) {
+                throw new Error(`This browser cannot encode ${format.toUpperCase()} images`);
+            }
+            return { blob, filename: `frame_${frame}.${format}` };
+        } finally {
+            rasterizer.destroy();
+        }
+    }
+
+    /**
+     * Render and encode the animation
+     * @param {Object} animData - Animation data
+     * @param {string} format - 'gif', 'apng', 'webm', 'png-sequence' or 'sprite-sheet'
+     * @param {Object} options - { width, height, startFrame, endFrame, fps, background, columns }
+     *   (background null = transparent; columns only for sprite sheets)
+     * @param {Function} onProgress - Called with (renderedFrames, totalFrames)
+     * @param {AbortSignal} signal - Aborts the export
+     * @returns {Promise<Array<{blob: Blob, filename: string}>>} Exported files (sprite sheets are zipped with their JSON atlas)
+     */
+    async export(animData, format, options, onProgress, signal) {
+        const target = FORMATS[format];
+        if (!target) {
+            throw new Error(`Unsupported format: ${format}`);
+        }
+        if (format === "webm" && !WebmRecorder.isSupported()) {
+            throw new Error("This browser cannot record WebM video");
+        }
+
+        const { width, height, startFrame, endFrame, fps, background } = options;
+        const frames = this.getFrameNumbers(animData, startFrame, endFrame, fps);
+        if (frames.length === 0) {
+            throw new Error("The frame range is empty");
+        }
+        const layout = format === "sprite-sheet" ? this.getSheetLayout(frames.length, width, height, options.columns) : null;
+
+        const rasterizer = new FrameRasterizer();
+        let recorder = null;
+
+        const throwIfAborted = () => {
+            if (signal && signal.aborted) {
+                throw new DOMException("Export cancelled", "AbortError");
+            }
+        };
+
+        try {
+            await rasterizer.load(animData, width, height);
+            throwIfAborted();
+
+            let encoder = null;
+            let sheet = null;
+            const pngFiles = [];
+            const atlasFrames = {};
+            const digits = Math.max(4, String(frames.length - 1).length);
+            const frameName = (i) => `frame_${String(i).padStart(digits, "0")}.png`;
+
+            if (format === "gif") {
+                encoder = new GifEncoder(width, height, { fps, transparent: !background });
+            } else if (format === "apng") {
+                encoder = new ApngEncoder(width, height, { fps, deflate: (data) => this.codec.deflate(data) });
+            } else if (format === "webm") {
+                // WebM has no alpha in most browsers: fall back to white
+                recorder = new WebmRecorder(rasterizer.renderFrame(frames[0], background || "#ffffff"), fps);
+                recorder.start();
+            } else if (format === "sprite-sheet") {
+                sheet = document.createElement("canvas");
+                sheet.width = layout.columns * width;
+                sheet.height = layout.rows * height;
+            }
+
+            for (let i = 0; i < frames.length; i++) {
+                throwIfAborted();
+
+                if (recorder) {
+                    rasterizer.renderFrame(frames[i], background || "#ffffff");
+                    await recorder.addFrame();
+                } else if (encoder) {
+                    encoder.addFrame(rasterizer.getFrameImageData(frames[i], background));
+                } else if (sheet) {
+                    const x = (i % layout.columns) * width;
+                    const y = Math.floor(i / layout.columns) * height;
+                    sheet.getContext("2d").drawImage(rasterizer.renderFrame(frames[i], background), x, y);
+                    atlasFrames[frameName(i)] = {
+                        frame: { x, y, w: width, h: height },
+                        rotated: false,
+                        trimmed: false,
+                        spriteSourceSize: { x: 0, y: 0, w: width, h: height },
+                        sourceSize: { w: width, h: height },
+                        duration: Math.round(1000 / fps),
+                    };
+                } else {
+                    const png = await canvasToPng(rasterizer.renderFrame(frames[i], background));
+                    pngFiles.push({ name: frameName(i), data: new Uint8Array(await png.arrayBuffer()) });
+                }
+
+                // Yield so progress updates and the cancel button stay responsive
+                if (!recorder) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+                onProgress(i + 1, frames.length);
+            }
+
+            const filename = `lottie-edited.${target.extension}`;
+            if (recorder) {
+                const blob = await recorder.finish();
+                recorder = null;
+                return [{ blob, filename }];
+            }
+            if (encoder) {
+                return [{ blob: new Blob([encoder.finish()], { type: target.mimeType }), filename }];
+            }
+            if (sheet) {
+                const image = "lottie-edited-sheet.png";
+                const atlas = {
+                    frames: atlasFrames,
+                    meta: {
+                        app: "Lottie Color Editor",
+                        image,
+                        format: "RGBA8888",
+                        size: { w: sheet.width, h: sheet.height },
+                        scale: 1,
+                        frameRate: fps,
+                    },
+                };
+                // One download: browsers block or prompt on a second automatic one
+                const files = [
+                    { name: image, data: new Uint8Array(await (await canvasToPng(sheet)).arrayBuffer()) },
+                    { name: "atlas.json", data: JSON.stringify(atlas, null, 2) },
+                ];
+                return [{ blob: new Blob([createZip(files)], { type: target.mimeType }), filename: "lottie-edited-sheet.zip" }];
+            }
+            // PNG data is already compressed, so the frames are stored as-is
+            return [{ blob: new Blob([createZip(pngFiles)], { type: target.mimeType }), filename: "lottie-edited-frames.zip" }];
+        } finally {
+            if (recorder) {
+                recorder.cancel();
+            }
+            rasterizer.destroy();
+        }
+    }
+}
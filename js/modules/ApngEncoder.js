@@ -0,0 +1,111 @@
+import { crc32 } from "../utils/zip.js";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Encodes RGBA frames into an animated PNG (looping, full-size truecolor + alpha frames)
+ */
+export class ApngEncoder {
+    /**
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Object} options - { fps, deflate }: frames per second and a zlib deflate function (defaults to pako.deflate)
+     */
+    constructor(width, height, { fps, deflate = (data) => globalThis.pako.deflate(data) }) {
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.deflate = deflate;
+        this.sequence = 0;
+        this.frameChunks = [];
+        this.frameCount = 0;
+    }
+
+    /**
+     * Build a PNG chunk (length, type, data, CRC)
+     * @param {string} type - Four-letter chunk type
+     * @param {Uint8Array} data - Chunk data
+     * @returns {Uint8Array} Chunk bytes
+     */
+    createChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    /**
+     * Add a frame
+     * @param {ImageData} imageData - Frame pixels (width x height)
+     */
+    addFrame(imageData) {
+        // Each scanline is prefixed with filter type 0 (none)
+        const rowLength = this.width * 4;
+        const raw = new Uint8Array((rowLength + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            raw.set(imageData.data.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+        }
+        const compressed = this.deflate(raw);
+
+        // Frame control: full canvas, delay 1/fps, no disposal, replace previous pixels
+        const control = new DataView(new ArrayBuffer(26));
+        control.setUint32(0, this.sequence++);
+        control.setUint32(4, this.width);
+        control.setUint32(8, this.height);
+        control.setUint32(12, 0);
+        control.setUint32(16, 0);
+        control.setUint16(20, 100); // Delay = 100 / (fps * 100) s, allowing fractional frame rates
+        control.setUint16(22, Math.round(this.fps * 100));
+        control.setUint8(24, 0);
+        control.setUint8(25, 0);
+        this.frameChunks.push(this.createChunk("fcTL", new Uint8Array(control.buffer)));
+
+        if (this.frameCount === 0) {
+            this.frameChunks.push(this.createChunk("IDAT", compressed));
+        } else {
+            const data = new Uint8Array(4 + compressed.length);
+            new DataView(data.buffer).setUint32(0, this.sequence++);
+            data.set(compressed, 4);
+            this.frameChunks.push(this.createChunk("fdAT", data));
+        }
+        this.frameCount++;
+    }
+
+    /**
+     * Finish the file
+     * @returns {Uint8Array} APNG file contents
+     */
+    finish() {
+        const header = new DataView(new ArrayBuffer(13));
+        header.setUint32(0, this.width);
+        header.setUint32(4, this.height);
+        header.setUint8(8, 8); // Bit depth
+        header.setUint8(9, 6); // Truecolor with alpha
+        header.setUint8(10, 0);
+        header.setUint8(11, 0);
+        header.setUint8(12, 0);
+
+        const animationControl = new DataView(new ArrayBuffer(8));
+        animationControl.setUint32(0, this.frameCount);
+        animationControl.setUint32(4, 0); // Loop forever
+
+        const parts = [
+            new Uint8Array(PNG_SIGNATURE),
+            this.createChunk("IHDR", new Uint8Array(header.buffer)),
+            this.createChunk("acTL", new Uint8Array(animationControl.buffer)),
+            ...this.frameChunks,
+            this.createChunk("IEND", new Uint8Array(0)),
+        ];
+
+        const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            png.set(part, position);
+            position += part.length;
+        });
+        return png;
+    }
+}
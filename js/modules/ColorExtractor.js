@@ -1,4 +1,5 @@
-import { rgbaToHex, rgbToHex } from "../utils/colorUtils.js";
+import { rgbaToHex, rgbToHex, getAlpha, appendAlphaToHex, normalizeHex } from "../utils/colorUtils.js";
+import { isTextDocument, isTextAnimatorPath } from "../utils/lottieUtils.js";
 
 /**
  * Extracts and processes colors from Lottie animation data
@@ -6,6 +7,8 @@ import { rgbaToHex, rgbToHex } from "../utils/colorUtils.js";
 export class ColorExtractor {
     constructor() {
         this.groupedColors = {};
+        this.currentLayer = null; // Layer being traversed, attached to each extracted color
+        this.currentElementPath = null; // Layer or fill/stroke shape that renders the colors being traversed
     }
 
     /**
@@ -16,6 +19,8 @@ export class ColorExtractor {
     extractColors(obj) {
         if (obj && typeof obj === "object") {
             this.resetGroupedColors();
+            this.currentLayer = null;
+            this.currentElementPath = null;
             const extracted = [];
             this.recursiveExtract(obj, extracted);
             return extracted;
@@ -38,6 +43,39 @@ export class ColorExtractor {
         this.groupedColors = {};
     }
 
+    /**
+     * Group a subset of color instances by color, in the same shape as getGroupedColors()
+     * @param {Array} instances - Color instances
+     * @returns {Object} Grouped colors object
+     */
+    groupInstances(instances) {
+        const groups = {};
+        instances.forEach(instance => this.addToGroup(groups, instance));
+        return groups;
+    }
+
+    /**
+     * Add a color instance to a grouped colors object
+     * @param {Object} groups - Grouped colors object
+     * @param {Object} instance - Color instance
+     */
+    addToGroup(groups, instance) {
+        // Colors that only differ in alpha are kept in separate groups
+        const groupKey = appendAlphaToHex(instance.hex, instance.alpha).toLowerCase();
+
+        if (!groups[groupKey]) {
+            groups[groupKey] = {
+                hex: instance.hex,
+                alpha: instance.alpha,
+                count: 0,
+                instances: [],
+                shapeType: instance.shapeType,
+            };
+        }
+        groups[groupKey].count++;
+        groups[groupKey].instances.push(instance);
+    }
+
     /**
      * Recursively extract colors from object
      * @param {Object} o - Object to extract from
@@ -48,12 +86,28 @@ export class ColorExtractor {
         if (o && typeof o === "object") {
             const shapeType = o.ty;
 
+            // Entering a layer (top-level or inside a precomp asset)
+            const parentLayer = this.currentLayer;
+            const parentElementPath = this.currentElementPath;
+            if (/(^|\.)layers\.\d+$/.test(path)) {
+                this.currentLayer = { name: o.nm || "", path };
+                this.currentElementPath = path;
+            } else if (["fl", "st", "gf", "gs"].includes(o.ty)) {
+                this.currentElementPath = path;
+            }
+
             if (o.c && o.c.k) {
                 const colorPath = path ? `${path}.c` : "c";
                 this.processFill(o, shapeType, c, colorPath);
             }
 
-            if (o.sc && o.sc.k) {
+            if (o.ty === 1 && typeof o.sc === "string") {
+                this.processSolidLayer(o, c, path);
+            } else if (isTextDocument(o)) {
+                this.processTextDocument(o, c, path);
+            } else if (isTextAnimatorPath(path)) {
+                this.processTextAnimator(o, c, path);
+            } else if (o.sc && o.sc.k) {
                 const colorPath = path ? `${path}.sc` : "sc";
                 this.processStroke(o, c, colorPath);
             }
@@ -69,6 +123,9 @@ export class ColorExtractor {
                     this.recursiveExtract(o[k], c, newPath);
                 }
             }
+
+            this.currentLayer = parentLayer;
+            this.currentElementPath = parentElementPath;
         }
     }
 
@@ -82,23 +139,18 @@ export class ColorExtractor {
      * @param {number|null} index - Index for gradient colors
      * @param {number|null} offset - Offset for gradient colors
      * @param {string} path - Path to this color instance
+     * @param {Object} meta - Extra instance fields (alpha, opacityRef, key/format of a color stored directly on ref,
+     *   property/keyframeIndex of a color keyframe, shapeRef of a gradient stop)
      */
-    addColor(c, type, shapeType, ref, hex, index = null, offset = null, stopCount = null, path = "") {
-        const instance = { type, shapeType, ref, hex, index, offset, stopCount, path };
+    addColor(c, type, shapeType, ref, hex, index = null, offset = null, stopCount = null, path = "", meta = {}) {
+        const alpha = meta.alpha !== undefined ? meta.alpha : 1;
+        const layerName = this.currentLayer ? this.currentLayer.name : "";
+        const layerPath = this.currentLayer ? this.currentLayer.path : "";
+        const elementPath = this.currentElementPath || layerPath;
+        const instance = { type, shapeType, ref, hex, index, offset, stopCount, path, layerName, layerPath, elementPath, ...meta, alpha };
         c.push(instance);
 
-        const groupKey = hex.toLowerCase();
-
-        if (!this.groupedColors[groupKey]) {
-            this.groupedColors[groupKey] = {
-                hex: hex,
-                count: 0,
-                instances: [],
-                shapeType: shapeType,
-            };
-        }
-        this.groupedColors[groupKey].count++;
-        this.groupedColors[groupKey].instances.push(instance);
+        this.addToGroup(this.groupedColors, instance);
     }
 
     /**
@@ -109,6 +161,8 @@ export class ColorExtractor {
      * @param {string} path - Path to this color property
      */
     processFill(o, shapeType, c, path) {
+        const opacityRef = this.getStaticOpacity(o);
+
         if (o.c.a === 1) {
             if (Array.isArray(o.c.k)) {
                 o.c.k.forEach((keyframe, i) => {
@@ -127,7 +181,12 @@ export class ColorExtractor {
                             console.warn(`Unknown animated color type detected. Shape type (ty): "${shapeType}", Color:`, rgbaToHex(keyframe.s), "Parent object:", o);
                         }
 
-                        this.addColor(c, instanceType, instanceShapeType, keyframe, rgbaToHex(keyframe.s), null, null, null, keyframePath);
+                        this.addColor(c, instanceType, instanceShapeType, keyframe, rgbaToHex(keyframe.s), null, null, null, keyframePath, {
+                            alpha: getAlpha(keyframe.s),
+                            opacityRef,
+                            property: o.c,
+                            keyframeIndex: i,
+                        });
                     }
                 });
             }
@@ -145,7 +204,10 @@ export class ColorExtractor {
                 console.warn(`Unknown static color type detected. Shape type (ty): "${shapeType}", Color:`, rgbaToHex(o.c.k), "Parent object:", o);
             }
 
-            this.addColor(c, instanceType, instanceShapeType, o.c, rgbaToHex(o.c.k), null, null, null, path);
+            this.addColor(c, instanceType, instanceShapeType, o.c, rgbaToHex(o.c.k), null, null, null, path, {
+                alpha: getAlpha(o.c.k),
+                opacityRef,
+            });
         }
     }
 
@@ -160,12 +222,94 @@ export class ColorExtractor {
             o.sc.k.forEach((keyframe, i) => {
                 const keyframePath = `${path}.k.${i}`;
                 if (keyframe.s && Array.isArray(keyframe.s)) {
-                    this.addColor(c, "stroke", "stroke", keyframe, rgbaToHex(keyframe.s), null, null, null, keyframePath);
+                    this.addColor(c, "stroke", "stroke", keyframe, rgbaToHex(keyframe.s), null, null, null, keyframePath, {
+                        alpha: getAlpha(keyframe.s),
+                        property: o.sc,
+                        keyframeIndex: i,
+                    });
                 }
             });
         } else if (Array.isArray(o.sc.k)) {
-            this.addColor(c, "stroke", "stroke", o.sc, rgbaToHex(o.sc.k), null, null, null, path);
+            this.addColor(c, "stroke", "stroke", o.sc, rgbaToHex(o.sc.k), null, null, null, path, {
+                alpha: getAlpha(o.sc.k),
+            });
+        }
+    }
+
+    /**
+     * Process the color of a solid layer (ty 1), stored as a hex string in "sc"
+     * @param {Object} o - Solid layer object
+     * @param {Array} c - Array to store colors
+     * @param {string} path - Path to the layer
+     */
+    processSolidLayer(o, c, path) {
+        const hex = normalizeHex(o.sc);
+        if (!hex) {
+            console.warn(`Invalid solid layer color "${o.sc}". Layer:`, o);
+            return;
         }
+
+        this.addColor(c, "solid layer", "solid layer", o, hex, null, null, null, path ? `${path}.sc` : "sc", {
+            key: "sc",
+            format: "hex",
+        });
+    }
+
+    /**
+     * Process the fill and stroke colors of a text document (plain color arrays)
+     * @param {Object} o - Text document object (t.d.k[].s)
+     * @param {Array} c - Array to store colors
+     * @param {string} path - Path to the text document
+     */
+    processTextDocument(o, c, path) {
+        [["fc", "text fill"], ["sc", "text stroke"]].forEach(([key, shapeType]) => {
+            if (Array.isArray(o[key]) && o[key].length >= 3) {
+                this.addColor(c, "text", shapeType, o, rgbaToHex(o[key]), null, null, null, `${path}.${key}`, {
+                    key,
+                    alpha: getAlpha(o[key]),
+                });
+            }
+        });
+    }
+
+    /**
+     * Process the fill and stroke color ranges of a text animator (t.a[].a.fc / sc)
+     * @param {Object} o - Text animator properties object
+     * @param {Array} c - Array to store colors
+     * @param {string} path - Path to the animator properties
+     */
+    processTextAnimator(o, c, path) {
+        [["fc", "text fill"], ["sc", "text stroke"]].forEach(([key, shapeType]) => {
+            const prop = o[key];
+            if (!prop || !Array.isArray(prop.k)) return;
+
+            if (prop.a === 1) {
+                prop.k.forEach((keyframe, i) => {
+                    if (keyframe.s && Array.isArray(keyframe.s)) {
+                        this.addColor(c, "text", shapeType, keyframe, rgbaToHex(keyframe.s), null, null, null, `${path}.${key}.k.${i}`, {
+                            alpha: getAlpha(keyframe.s),
+                            property: prop,
+                            keyframeIndex: i,
+                        });
+                    }
+                });
+            } else {
+                this.addColor(c, "text", shapeType, prop, rgbaToHex(prop.k), null, null, null, `${path}.${key}`, {
+                    alpha: getAlpha(prop.k),
+                });
+            }
+        });
+    }
+
+    /**
+     * Get the static opacity property ("o", 0-100) of a fill/stroke shape
+     * @param {Object} o - Shape object
+     * @returns {Object|null} Opacity property, or null if missing or animated
+     */
+    getStaticOpacity(o) {
+        const styleTypes = ["fl", "st", "gf", "gs"];
+        if (!styleTypes.includes(o.ty) || !o.o || o.o.a === 1) return null;
+        return typeof o.o.k === "number" ? o.o : null;
     }
 
     /**
@@ -180,6 +324,8 @@ export class ColorExtractor {
         if (shapeType === "gf") gradientShapeType = "gradient fill";
         else if (shapeType === "gs") gradientShapeType = "gradient stroke";
 
+        const opacityRef = this.getStaticOpacity(o);
+
         const processGradientStops = (gradientData, gradientRef, gradientPath) => {
             const arr = gradientData;
             const numStops = o.g.p || arr.length / 4;
@@ -203,7 +349,8 @@ export class ColorExtractor {
                     i,
                     offset,
                     numStops,
-                    stopPath
+                    stopPath,
+                    { opacityRef, shapeRef: o }
                 );
             }
         };
@@ -221,4 +368,4 @@ export class ColorExtractor {
             processGradientStops(o.g.k.k, o.g.k, `${path}.k.k`);
         }
     }
-}
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,104 @@
+import { ColorExtractor } from "./ColorExtractor.js";
+import { appendAlphaToHex } from "../utils/colorUtils.js";
+import { copyColors } from "../utils/colorCopy.js";
+import { parseOverrideColor, writeColorAtPath, applyColorOverrides, readCssOverrides } from "../runtime/colorOverrides.js";
+
+const MANIFEST_TYPE = "lottie-editor-color-manifest";
+const MANIFEST_VERSION = 1;
+
+/**
+ * Hash a group's color paths into a short id (FNV-1a), so the id stays the same
+ * when the group's color is edited
+ * @param {string[]} paths - Color paths
+ * @returns {string} Base-36 hash
+ */
+function hashPaths(paths) {
+    let hash = 0x811c9dc5;
+    const text = [...paths].sort().join("|");
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36).padStart(7, "0");
+}
+
+/**
+ * Builds the color manifest web players use to recolor an animation at runtime,
+ * and the standalone source of the runtime helper that applies it
+ */
+export class ColorManifest {
+    constructor() {
+        // Separate extractor so the editor's grouped colors are left untouched
+        this.extractor = new ColorExtractor();
+    }
+
+    /**
+     * Build a manifest listing each editable color group of the animation
+     * @param {Object} animData - Animation data exactly as it will be shipped (paths point into it)
+     * @returns {{type: string, version: number, colors: Array<{id: string, default: string, types: string[],
+     *   paths: string[], layers: Array<{path: string, name: string}>}>}} Manifest
+     */
+    create(animData) {
+        this.extractor.extractColors(animData);
+        const usedIds = new Set();
+
+        const colors = Object.values(this.extractor.getGroupedColors())
+            .sort((a, b) => b.count - a.count)
+            .map(group => {
+                const paths = group.instances.map(instance => instance.path);
+
+                let id = `color-${hashPaths(paths)}`;
+                for (let i = 2; usedIds.has(id); i++) {
+                    id = `color-${hashPaths(paths)}-${i}`;
+                }
+                usedIds.add(id);
+
+                const layers = new Map();
+                group.instances.forEach(instance => {
+                    if (!layers.has(instance.layerPath)) {
+                        layers.set(instance.layerPath, { path: instance.layerPath, name: instance.layerName });
+                    }
+                });
+
+                return {
+                    id,
+                    default: appendAlphaToHex(group.hex, group.alpha).toLowerCase(),
+                    types: [...new Set(group.instances.map(instance => instance.shapeType))],
+                    paths,
+                    layers: [...layers.values()],
+                };
+            });
+
+        return { type: MANIFEST_TYPE, version: MANIFEST_VERSION, colors };
+    }
+
+    /**
+     * Get the source of the runtime helper as a standalone ES module, built from the
+     * same functions the editor uses (including the export's color-copy logic)
+     * @returns {string} JavaScript source
+     */
+    buildRuntimeSource() {
+        return [
+            "// Lottie color overrides runtime, generated by Lottie Editor.\n" +
+            "// Usage: applyColorOverrides(animationData, manifest, { \"color-id\": \"#ff0000\" })\n" +
+            "// before lottie.loadAnimation({ animationData, ... }). To theme from CSS, load lottie-colors.css\n" +
+            "// and pass readCssOverrides(playerElement, manifest) as the overrides.",
+            copyColors.toString(),
+            parseOverrideColor.toString(),
+            writeColorAtPath.toString(),
+            `export ${applyColorOverrides.toString()}`,
+            `export ${readCssOverrides.toString()}`,
+        ].join("\n\n").replace(/\r\n/g, "\n") + "\n";
+    }
+
+    /**
+     * Get a stylesheet declaring one CSS variable per manifest color, set to its default
+     * (override them on the player's container and read them with readCssOverrides)
+     * @param {Object} manifest - Color manifest
+     * @returns {string} CSS source
+     */
+    buildCssSource(manifest) {
+        const variables = manifest.colors.map(color => `  --${color.id}: ${color.default};`);
+        return `/* Lottie color variables, generated by Lottie Editor */\n:root {\n${variables.join("\n")}\n}\n`;
+    }
+}
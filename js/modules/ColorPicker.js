@@ -8,7 +8,7 @@ export class ColorPicker {
             onChange: options.onChange || (() => { }),
             onOpen: options.onOpen || (() => { }),
             onClose: options.onClose || (() => { }),
-            showAlpha: false,
+            showAlpha: options.showAlpha || false,
             showSwatches: false,
             showEyedropper: options.showEyedropper !== false && this.isEyeDropperSupported(),
             container: options.container || null
@@ -86,6 +86,14 @@ export class ColorPicker {
               <div class="slider-thumb"></div>
             </div>
           </div>
+          ${this.options.showAlpha ? `
+          <!-- Alpha slider -->
+          <div class="slider-wrapper">
+            <div class="slider alpha-slider">
+              <div class="slider-track alpha-track"></div>
+              <div class="slider-thumb"></div>
+            </div>
+          </div>` : ''}
         </div>
         
         <!-- Color inputs -->
@@ -106,6 +114,7 @@ export class ColorPicker {
         this.colorArea = this.popup.querySelector('.color-area');
         this.colorAreaCursor = this.popup.querySelector('.color-area-cursor');
         this.hueSlider = this.popup.querySelector('.hue-slider');
+        this.alphaSlider = this.popup.querySelector('.alpha-slider');
         this.inputsContainer = this.popup.querySelector('#inputs-container');
         this.tabs = this.popup.querySelectorAll('.picker-tab');
 
@@ -129,6 +138,11 @@ export class ColorPicker {
         this.hueSlider.addEventListener('mousedown', (e) => this.startDrag(e, 'hue'));
         this.hueSlider.addEventListener('touchstart', (e) => this.startDrag(e, 'hue'), { passive: false });
 
+        if (this.alphaSlider) {
+            this.alphaSlider.addEventListener('mousedown', (e) => this.startDrag(e, 'alpha'));
+            this.alphaSlider.addEventListener('touchstart', (e) => this.startDrag(e, 'alpha'), { passive: false });
+        }
+
         document.addEventListener('mousemove', (e) => this.handleDrag(e));
         document.addEventListener('touchmove', (e) => this.handleDrag(e), { passive: false });
         document.addEventListener('mouseup', () => this.endDrag());
@@ -187,6 +201,8 @@ export class ColorPicker {
             this.updateColorArea(clientX, clientY);
         } else if (this.activeSlider === 'hue') {
             this.updateHue(clientX, clientY);
+        } else if (this.activeSlider === 'alpha') {
+            this.updateAlpha(clientX);
         }
     }
 
@@ -223,6 +239,17 @@ export class ColorPicker {
         this.notifyChange();
     }
 
+    updateAlpha(clientX) {
+        const rect = this.alphaSlider.getBoundingClientRect();
+        let x = clientX - rect.left;
+        x = Math.max(0, Math.min(x, rect.width));
+
+        this.hsv.a = Math.round((x / rect.width) * 100) / 100;
+
+        this.updateUI();
+        this.notifyChange();
+    }
+
     updateUI() {
         // Update color area background (pure hue)
         const hueColor = `hsl(${this.hsv.h}, 100%, 50%)`;
@@ -242,6 +269,14 @@ export class ColorPicker {
         const huePercent = (this.hsv.h / 360) * 100;
         hueThumb.style.left = `${huePercent}%`;
 
+        // Update alpha slider track (transparent -> opaque current color) and thumb
+        if (this.alphaSlider) {
+            const rgb = this.hsvToRgb(this.hsv.h, this.hsv.s, this.hsv.v);
+            const alphaTrack = this.alphaSlider.querySelector('.alpha-track');
+            alphaTrack.style.backgroundImage = `linear-gradient(to right, rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0), rgb(${rgb.r}, ${rgb.g}, ${rgb.b}))`;
+            this.alphaSlider.querySelector('.slider-thumb').style.left = `${this.hsv.a * 100}%`;
+        }
+
         // Update trigger (only if it has the default structure)
         const colorString = this.getColorString();
         const colorPreview = this.trigger.querySelector('.color-preview');
@@ -275,14 +310,27 @@ export class ColorPicker {
             this.createInput('r', rgb.r, 'R');
             this.createInput('g', rgb.g, 'G');
             this.createInput('b', rgb.b, 'B');
+            if (this.options.showAlpha) this.createInput('a', Math.round(this.hsv.a * 100), 'A');
         } else if (this.currentFormat === 'hsl') {
             const hsl = this.hsvToHsl(this.hsv.h, this.hsv.s, this.hsv.v);
             this.createInput('h', Math.round(hsl.h), 'H');
             this.createInput('s', Math.round(hsl.s), 'S');
             this.createInput('l', Math.round(hsl.l), 'L');
+            if (this.options.showAlpha) this.createInput('a', Math.round(this.hsv.a * 100), 'A');
         }
     }
 
+    /**
+     * Read the alpha input (0-100) of the RGB/HSL tabs.
+     * @returns {number} Alpha (0-1); the current alpha if the input is missing or invalid
+     */
+    readAlphaInput() {
+        const input = this.inputsContainer.querySelector('input[data-type="a"]');
+        if (!input) return this.hsv.a;
+        const a = parseInt(input.value);
+        return isNaN(a) ? this.hsv.a : Math.max(0, Math.min(100, a)) / 100;
+    }
+
     createInput(id, value, label) {
         const group = document.createElement('div');
         group.className = 'input-group';
@@ -318,6 +366,7 @@ export class ColorPicker {
         if (this.currentFormat === 'hex') {
             const hsv = this.parseToHsv(value);
             if (hsv) {
+                if (!this.options.showAlpha) hsv.a = this.hsv.a;
                 this.hsv = hsv;
                 this.updateUI();
                 this.notifyChange();
@@ -334,6 +383,7 @@ export class ColorPicker {
                     Math.max(0, Math.min(255, g)),
                     Math.max(0, Math.min(255, b))
                 );
+                this.hsv.a = this.readAlphaInput();
                 this.updateUI();
                 this.notifyChange();
             }
@@ -349,6 +399,7 @@ export class ColorPicker {
                     Math.max(0, Math.min(100, s)),
                     Math.max(0, Math.min(100, l))
                 );
+                this.hsv.a = this.readAlphaInput();
                 this.updateUI();
                 this.notifyChange();
             }
@@ -365,50 +416,67 @@ export class ColorPicker {
         if (!colorString) return null;
         colorString = colorString.trim().toLowerCase();
 
-        // HEX
+        // HEX (#rgb, #rgba, #rrggbb, #rrggbbaa)
         if (colorString.startsWith('#')) {
             // Validate hex length
-            if (colorString.length === 4 || colorString.length === 7) {
+            if ([4, 5, 7, 9].includes(colorString.length)) {
                 const rgb = this.hexToRgb(colorString);
-                if (rgb) return this.rgbToHsv(rgb.r, rgb.g, rgb.b);
+                if (rgb) return { ...this.rgbToHsv(rgb.r, rgb.g, rgb.b), a: rgb.a };
             }
             return null;
         }
 
-        // RGB
-        const rgbMatch = colorString.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
+        // RGB / RGBA
+        const rgbMatch = colorString.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
         if (rgbMatch) {
-            return this.rgbToHsv(+rgbMatch[1], +rgbMatch[2], +rgbMatch[3]);
+            return { ...this.rgbToHsv(+rgbMatch[1], +rgbMatch[2], +rgbMatch[3]), a: this.parseAlpha(rgbMatch[4]) };
         }
 
-        // HSL
-        const hslMatch = colorString.match(/hsl\((\d+),\s*(\d+)%?,\s*(\d+)%?\)/);
+        // HSL / HSLA
+        const hslMatch = colorString.match(/hsla?\((\d+),\s*(\d+)%?,\s*(\d+)%?(?:,\s*([\d.]+))?\)/);
         if (hslMatch) {
-            return this.hslToHsv(+hslMatch[1], +hslMatch[2], +hslMatch[3]);
+            return { ...this.hslToHsv(+hslMatch[1], +hslMatch[2], +hslMatch[3]), a: this.parseAlpha(hslMatch[4]) };
         }
 
         return null;
     }
 
+    parseAlpha(value) {
+        if (value === undefined) return 1;
+        const a = parseFloat(value);
+        return isNaN(a) ? 1 : Math.max(0, Math.min(1, a));
+    }
+
     getColorString(format = this.currentFormat) {
+        // Alpha is only written out when the picker edits it and the color is translucent
+        const hasAlpha = this.options.showAlpha && this.hsv.a < 1;
+
         if (format === 'hex') {
             const rgb = this.hsvToRgb(this.hsv.h, this.hsv.s, this.hsv.v);
-            return this.rgbToHex(rgb.r, rgb.g, rgb.b);
+            const hex = this.rgbToHex(rgb.r, rgb.g, rgb.b);
+            return hasAlpha ? hex + this.alphaToHexByte(this.hsv.a) : hex;
         } else if (format === 'rgb') {
             const rgb = this.hsvToRgb(this.hsv.h, this.hsv.s, this.hsv.v);
-            return `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
+            return hasAlpha
+                ? `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${this.hsv.a})`
+                : `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
         } else if (format === 'hsl') {
             const hsl = this.hsvToHsl(this.hsv.h, this.hsv.s, this.hsv.v);
-            return `hsl(${Math.round(hsl.h)}, ${Math.round(hsl.s)}%, ${Math.round(hsl.l)}%)`;
+            return hasAlpha
+                ? `hsla(${Math.round(hsl.h)}, ${Math.round(hsl.s)}%, ${Math.round(hsl.l)}%, ${this.hsv.a})`
+                : `hsl(${Math.round(hsl.h)}, ${Math.round(hsl.s)}%, ${Math.round(hsl.l)}%)`;
         }
     }
 
     getColorObject() {
         const rgb = this.hsvToRgb(this.hsv.h, this.hsv.s, this.hsv.v);
         const hsl = this.hsvToHsl(this.hsv.h, this.hsv.s, this.hsv.v);
+        const hex = this.rgbToHex(rgb.r, rgb.g, rgb.b);
 
         return {
-            hex: this.rgbToHex(rgb.r, rgb.g, rgb.b),
+            hex: hex,
+            hex8: hex + this.alphaToHexByte(this.hsv.a),
+            alpha: this.hsv.a,
             rgb: rgb,
             hsl: { h: Math.round(hsl.h), s: Math.round(hsl.s), l: Math.round(hsl.l) }
         };
@@ -473,12 +541,18 @@ export class ColorPicker {
 
     hexToRgb(hex) {
         hex = hex.replace('#', '');
-        if (hex.length === 3) {
-            hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
+        if (hex.length === 3 || hex.length === 4) {
+            hex = hex.split('').map(ch => ch + ch).join('');
         }
-        if (hex.length !== 6) return null;
-        const bigint = parseInt(hex, 16);
-        return { r: (bigint >> 16) & 255, g: (bigint >> 8) & 255, b: bigint & 255 };
+        if (hex.length !== 6 && hex.length !== 8) return null;
+        const bigint = parseInt(hex.slice(0, 6), 16);
+        const a = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1;
+        if (isNaN(bigint) || isNaN(a)) return null;
+        return { r: (bigint >> 16) & 255, g: (bigint >> 8) & 255, b: bigint & 255, a: Math.round(a * 100) / 100 };
+    }
+
+    alphaToHexByte(a) {
+        return Math.round(a * 255).toString(16).padStart(2, '0');
     }
 
     rgbToHex(r, g, b) {
@@ -513,7 +587,8 @@ export class ColorPicker {
         try {
             const eyeDropper = new EyeDropper();
             const result = await eyeDropper.open();
-            this.hsv = this.parseToHsv(result.sRGBHex);
+            // The eyedropper only samples RGB, so keep the current alpha
+            this.hsv = { ...this.parseToHsv(result.sRGBHex), a: this.hsv.a };
             this.updateUI();
             this.notifyChange();
         } catch (err) { }
@@ -1,18 +1,99 @@
-import { hexToRgb } from "../utils/colorUtils.js";
+import { appendAlphaToHex } from "../utils/colorUtils.js";
+import { writeInstanceColor, getGradientArray } from "../utils/colorWriter.js";
+import { getColorKeyframes, sampleColorAt, addColorKeyframe, removeColorKeyframe, retimeColorKeyframe, flattenColor } from "../utils/keyframes.js";
+import { addGradientStop, removeGradientStop, reverseGradient, distributeGradientStops, moveGradientStop } from "../utils/gradients.js";
 import { ColorPicker } from "./ColorPicker.js";
 
+// Checkerboard layer drawn under translucent swatches
+const CHECKERBOARD = "repeating-conic-gradient(#d1d5db 0% 25%, #ffffff 0% 50%) 50% / 10px 10px";
+
+/**
+ * Describe a color edit for the history panel
+ * @param {string} from - Color before the edit (hex)
+ * @param {string} to - Color after the edit (hex)
+ * @param {number} count - Number of edited color instances
+ * @returns {string} e.g. "Changed #FF0000 → #00AAFF (12 instances)"
+ */
+function describeColorChange(from, to, count) {
+    return `Changed ${from.toUpperCase()} → ${to.toUpperCase()} (${count} ${count === 1 ? "instance" : "instances"})`;
+}
+
+/**
+ * Format a frame number for display (keyframes may sit between frames)
+ * @param {number} frame - Frame number
+ * @returns {number} Frame rounded to 2 decimals
+ */
+function formatFrame(frame) {
+    return Math.round(frame * 100) / 100;
+}
+
+/**
+ * Convert a 0-1 color array to a CSS color
+ * @param {number[]} color - [r, g, b, a?] in 0-1
+ * @returns {string} CSS rgba() color
+ */
+function toCssColor(color) {
+    const [r, g, b] = color.map(value => Math.round(value * 255));
+    return `rgba(${r}, ${g}, ${b}, ${color.length > 3 ? color[3] : 1})`;
+}
+
+/**
+ * Check whether a color instance is a static color property that can be turned into keyframes
+ * (text document colors and solid layer colors can't be animated)
+ * @param {Object} instance - Color instance from ColorExtractor
+ * @returns {boolean}
+ */
+function isStaticColor(instance) {
+    return instance.type !== "gradient" && !instance.key && !instance.property
+        && instance.ref.a !== 1 && Array.isArray(instance.ref.k);
+}
+
+/**
+ * Linearly interpolate a value between sorted gradient stops
+ * @param {Array} stops - Stops sorted by offset, e.g. [{offset, value}]
+ * @param {number} offset - Position to sample (0-1)
+ * @param {Function} getValue - Returns the numeric value(s) of a stop as an array
+ * @returns {number[]} Interpolated values
+ */
+function sampleStops(stops, offset, getValue) {
+    if (offset <= stops[0].offset) return getValue(stops[0]);
+    const last = stops[stops.length - 1];
+    if (offset >= last.offset) return getValue(last);
+
+    for (let i = 0; i < stops.length - 1; i++) {
+        const a = stops[i];
+        const b = stops[i + 1];
+        if (offset >= a.offset && offset <= b.offset) {
+            const t = b.offset === a.offset ? 0 : (offset - a.offset) / (b.offset - a.offset);
+            const va = getValue(a);
+            const vb = getValue(b);
+            return va.map((v, j) => v + (vb[j] - v) * t);
+        }
+    }
+    return getValue(last);
+}
+
 /**
  * Renders color UI elements and handles color input changes
  */
 export class ColorRenderer {
-    constructor(containerElement, onColorChange, onGradientPositionChange, onSaveState, hslManager, onLockToggle) {
+    /**
+     * @param {Object|null} timeline - Preview timing used by keyframe timelines: getRange() => { start, end }
+     *   composition frames, getCurrentFrame(), getLayerTiming(layerPath) => { offset, scale }, seek(frame),
+     *   and animate(instances) to turn static colors into keyframes
+     */
+    constructor(containerElement, onColorChange, onGradientPositionChange, onSaveState, hslManager, onLockToggle, onHighlight = () => { }, timeline = null) {
         this.container = containerElement;
         this.onColorChange = onColorChange;
         this.onGradientPositionChange = onGradientPositionChange;
         this.onSaveState = onSaveState;
         this.hslManager = hslManager;
         this.onLockToggle = onLockToggle;
+        this.onHighlight = onHighlight; // Called with the hovered card's instances, or null on leave
         this.colorPickers = []; // Track all color picker instances
+        this.cards = []; // Rendered cards with the color instances they edit
+        this.timeline = timeline;
+        this.selectedKeyframes = new Map(); // Animated property path → index of the keyframe being edited
     }
     /**
      * Render colors to the UI
@@ -24,6 +105,7 @@ export class ColorRenderer {
         // Clean up existing color pickers
         this.colorPickers.forEach(picker => picker.destroy());
         this.colorPickers = [];
+        this.cards = [];
 
         this.container.innerHTML = "";
 
@@ -39,6 +121,9 @@ export class ColorRenderer {
         const flexContainer = document.createElement("div");
         flexContainer.className = "colors-flex";
 
+        const timelineContainer = document.createElement("div");
+        timelineContainer.className = "colors-timelines";
+
         let hasSolids = false;
         let hasGradients = false;
 
@@ -49,7 +134,8 @@ export class ColorRenderer {
                 hasSolids = true;
             });
         } else {
-            const solids = colors.filter(c => c.type !== "gradient");
+            // Color keyframes are edited on their property's timeline instead of as separate swatches
+            const solids = colors.filter(c => c.type !== "gradient" && !c.property);
             const gradients = colors.filter(c => c.type === "gradient");
 
             if (solids.length > 0) {
@@ -84,6 +170,18 @@ export class ColorRenderer {
         if (hasGradients) {
             this.container.appendChild(flexContainer);
         }
+
+        // One timeline per animated color property
+        const keyframeInstances = (isGrouped ? colors.flatMap(group => group.instances) : colors).filter(c => c.property);
+        if (this.timeline && keyframeInstances.length > 0) {
+            const properties = new Map();
+            keyframeInstances.forEach(instance => {
+                if (!properties.has(instance.property)) properties.set(instance.property, []);
+                properties.get(instance.property).push(instance);
+            });
+            properties.forEach(instances => this.renderKeyframeTimeline(instances, timelineContainer));
+            this.container.appendChild(timelineContainer);
+        }
     }
 
     /**
@@ -104,15 +202,17 @@ export class ColorRenderer {
 
         // Create label first so we can reference it in onChange
         const label = document.createElement("label");
-        if (isGrouped) {
-            label.textContent = `${c.count} instances of ${c.hex.toUpperCase()}`;
-        } else {
-            if (filterType === "All") {
-                label.innerHTML = `${c.shapeType} ${index + 1}<br>${c.hex.toUpperCase()}`;
+        const updateLabel = () => {
+            const displayHex = appendAlphaToHex(c.hex, c.alpha).toUpperCase();
+            if (isGrouped) {
+                label.textContent = `${c.count} instances of ${displayHex}`;
+            } else if (filterType === "All") {
+                label.innerHTML = `${c.shapeType} ${index + 1}<br>${displayHex}`;
             } else {
-                label.textContent = c.hex.toUpperCase();
+                label.textContent = displayHex;
             }
-        }
+        };
+        updateLabel();
 
         // Lock button
         const lockBtn = document.createElement("button");
@@ -164,65 +264,53 @@ export class ColorRenderer {
                 this.hslManager.togglePathLock(c.path);
             }
 
-            this.onLockToggle();
+            const count = isGrouped ? c.instances.length : 1;
+            const locked = this.hslManager.isPathLocked(isGrouped ? c.instances[0].path : c.path);
+            this.onLockToggle(`${locked ? "Locked" : "Unlocked"} ${appendAlphaToHex(c.hex, c.alpha).toUpperCase()} (${count} ${count === 1 ? "instance" : "instances"})`);
         };
 
         // Add lock button to CARD
         card.appendChild(lockBtn);
 
         // Create the ColorPicker
+        let startHex = appendAlphaToHex(c.hex, c.alpha);
         const picker = new ColorPicker({
-            initialColor: c.hex,
+            initialColor: appendAlphaToHex(c.hex, c.alpha),
             onChange: (colorObj) => {
                 const newHex = colorObj.hex;
-                const { r, g, b } = hexToRgb(newHex);
                 let colorsToUpdate = isGrouped ? c.instances : [c];
 
+                // Describe the edit as a color remap so it can be replayed on other files
+                const newKey = appendAlphaToHex(newHex, colorObj.alpha).toLowerCase();
+                const colorMap = {};
                 colorsToUpdate.forEach((instance) => {
-                    const normalizedR = r / 255;
-                    const normalizedG = g / 255;
-                    const normalizedB = b / 255;
-
-                    if (instance.type === "solid" || instance.type === "stroke") {
-                        if (instance.ref.hasOwnProperty("s")) {
-                            instance.ref.s = [normalizedR, normalizedG, normalizedB, 1];
-                        } else if (instance.ref.hasOwnProperty("k")) {
-                            instance.ref.k = [normalizedR, normalizedG, normalizedB, 1];
-                        }
-                    } else if (instance.type === "gradient") {
-                        if (instance.ref.hasOwnProperty("s") && Array.isArray(instance.ref.s)) {
-                            instance.ref.s[instance.index + 1] = normalizedR;
-                            instance.ref.s[instance.index + 2] = normalizedG;
-                            instance.ref.s[instance.index + 3] = normalizedB;
-                        } else if (instance.ref.hasOwnProperty("k") && Array.isArray(instance.ref.k)) {
-                            instance.ref.k[instance.index + 1] = normalizedR;
-                            instance.ref.k[instance.index + 2] = normalizedG;
-                            instance.ref.k[instance.index + 3] = normalizedB;
-                        }
-                    }
+                    colorMap[appendAlphaToHex(instance.hex, instance.alpha).toLowerCase()] = newKey;
+                    writeInstanceColor(instance, newHex, colorObj.alpha);
                 });
 
                 c.hex = newHex;
+                c.alpha = colorObj.alpha;
 
                 // Update the trigger's background color
-                picker.trigger.style.background = newHex;
+                this.paintSwatch(picker.trigger, newHex, colorObj.alpha);
 
                 // Update the label
-                if (isGrouped) {
-                    label.textContent = `${c.count} instances of ${newHex.toUpperCase()}`;
-                } else {
-                    if (filterType === "All") {
-                        label.innerHTML = `${c.shapeType} ${index + 1}<br>${newHex.toUpperCase()}`;
-                    } else {
-                        label.textContent = newHex.toUpperCase();
-                    }
-                }
+                updateLabel();
 
-                this.onColorChange();
+                this.onColorChange(colorMap);
+            },
+            onOpen: () => {
+                // Remember the color the edit starts from, for the history label
+                startHex = appendAlphaToHex(c.hex, c.alpha);
+                this.onSaveState();
             },
-            onOpen: () => this.onSaveState(),
+            onClose: () => this.onSaveState(
+                describeColorChange(startHex, appendAlphaToHex(c.hex, c.alpha), isGrouped ? c.instances.length : 1)
+            ),
             container: pickerContainer,
-            showEyedropper: true
+            showEyedropper: true,
+            // Solid layer colors are plain hex strings without alpha
+            showAlpha: (isGrouped ? c.instances : [c]).some(instance => instance.format !== "hex")
         });
 
         // Track the picker instance
@@ -234,16 +322,395 @@ export class ColorRenderer {
         trigger.style.height = "50px";
         trigger.style.padding = "0";
         trigger.style.borderRadius = "50%";
-        trigger.style.background = c.hex;
+        this.paintSwatch(trigger, c.hex, c.alpha);
         trigger.style.border = "none";
         trigger.style.boxShadow = "inset 0 0 0 1px rgba(0, 0, 0, 0.1)";
         trigger.innerHTML = ""; // Remove default content
 
         card.appendChild(pickerContainer);
         card.appendChild(label);
+
+        const layerLabel = this.createLayerLabel(isGrouped ? c.instances : [c]);
+        if (layerLabel) {
+            card.appendChild(layerLabel);
+        }
+
+        const opacityRefs = isGrouped
+            ? c.instances.map(instance => instance.opacityRef)
+            : [c.opacityRef];
+        const opacityInput = this.createOpacityInput(opacityRefs);
+        if (opacityInput) {
+            card.appendChild(opacityInput);
+        }
+
+        const staticInstances = (isGrouped ? c.instances : [c]).filter(isStaticColor);
+        if (this.timeline && staticInstances.length > 0) {
+            const animateBtn = document.createElement("button");
+            animateBtn.className = "action-btn secondary-btn animate-btn";
+            animateBtn.textContent = "Animate";
+            animateBtn.title = "Turn this color into keyframes";
+            animateBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.timeline.animate(staticInstances);
+            };
+            card.appendChild(animateBtn);
+        }
+
+        this.registerCard(card, isGrouped ? c.instances : [c]);
         targetContainer.appendChild(card);
     }
 
+    /**
+     * Render the keyframes of an animated color property as a timeline: click a keyframe to
+     * seek the preview to it and edit its color or frame, or add/remove keyframes
+     * @param {Array} instances - Keyframe instances of one property (from ColorExtractor)
+     * @param {HTMLElement} targetContainer - Container to append the card to
+     */
+    renderKeyframeTimeline(instances, targetContainer) {
+        const { property, layerPath } = instances[0];
+        const propertyPath = instances[0].path.replace(/\.k\.\d+$/, "");
+        const keyframes = getColorKeyframes(property);
+        const timing = this.timeline.getLayerTiming(layerPath);
+        const toComposition = (t) => timing.offset + t * timing.scale;
+        const toLayer = (frame) => (frame - timing.offset) / timing.scale;
+
+        let selected = this.selectedKeyframes.get(propertyPath);
+        if (!keyframes.some(({ index }) => index === selected)) {
+            selected = keyframes[0].index;
+        }
+
+        const card = document.createElement("div");
+        card.className = "color-card keyframe-card";
+        let picker = null;
+
+        // Selecting another keyframe only rebuilds this card
+        const rebuild = () => {
+            picker.destroy();
+            this.colorPickers = this.colorPickers.filter(p => p !== picker);
+            this.cards = this.cards.filter(entry => entry.element !== card);
+            const holder = document.createElement("div");
+            this.renderKeyframeTimeline(instances, holder);
+            card.replaceWith(holder.firstChild);
+        };
+
+        // Header: what the property is and how many keyframes it has
+        const header = document.createElement("div");
+        header.className = "keyframe-header";
+        const title = document.createElement("span");
+        title.className = "keyframe-title";
+        title.textContent = `${instances[0].shapeType} · ${keyframes.length} keyframes`;
+        header.appendChild(title);
+        const layerLabel = this.createLayerLabel(instances);
+        if (layerLabel) {
+            header.appendChild(layerLabel);
+        }
+
+        const addBtn = document.createElement("button");
+        addBtn.className = "action-btn secondary-btn keyframe-btn";
+        addBtn.textContent = "+ Keyframe";
+        addBtn.title = "Add a keyframe at the current frame";
+        addBtn.onclick = () => {
+            const frame = formatFrame(toLayer(this.timeline.getCurrentFrame()));
+            const existing = keyframes.find(({ keyframe }) => keyframe.t === frame);
+            if (existing) {
+                this.selectedKeyframes.set(propertyPath, existing.index);
+                rebuild();
+                return;
+            }
+
+            this.onSaveState();
+            // The new keyframe starts with the color the animation has at that frame
+            const index = addColorKeyframe(property, frame, sampleColorAt(property, frame));
+            // The HSL snapshot gets the same keyframe (with its own pre-shift color), so shifts keep it
+            const original = this.hslManager.getOriginalAt(propertyPath);
+            if (original) {
+                addColorKeyframe(original, frame, sampleColorAt(original, frame));
+            }
+            this.hslManager.remapKeyframeLocks(propertyPath, i => (i >= index ? i + 1 : i));
+            this.selectedKeyframes.set(propertyPath, index);
+            this.onGradientPositionChange(); // Re-extract colors and re-render the list
+            this.onSaveState(`Added keyframe at frame ${formatFrame(toComposition(frame))}`);
+        };
+        header.appendChild(addBtn);
+
+        const staticBtn = document.createElement("button");
+        staticBtn.className = "action-btn secondary-btn keyframe-btn";
+        staticBtn.textContent = "Make static";
+        staticBtn.title = "Replace the keyframes with the color at the current frame";
+        staticBtn.onclick = () => {
+            const frame = this.timeline.getCurrentFrame();
+            this.onSaveState();
+            if (!flattenColor(property, toLayer(frame))) return;
+
+            // The HSL snapshot keeps its own pre-shift color at that frame
+            const original = this.hslManager.getOriginalAt(propertyPath);
+            if (original) {
+                flattenColor(original, toLayer(frame));
+            }
+            // Locks of single keyframes become a lock of the whole color
+            this.hslManager.flattenLocks(propertyPath);
+            this.selectedKeyframes.delete(propertyPath);
+            this.onGradientPositionChange();
+            this.onSaveState(`Made ${instances[0].shapeType} static (color at frame ${formatFrame(frame)})`);
+        };
+        header.appendChild(staticBtn);
+        card.appendChild(header);
+
+        // Track spanning the composition, with a marker per keyframe
+        const track = document.createElement("div");
+        track.className = "keyframe-track";
+        const { start, end } = this.timeline.getRange();
+        const toPercent = (t) => {
+            const percent = end > start ? ((toComposition(t) - start) / (end - start)) * 100 : 0;
+            return Math.max(0, Math.min(100, percent));
+        };
+        const paintTrack = () => {
+            const stops = [];
+            keyframes.forEach(({ keyframe }, i) => {
+                stops.push(`${toCssColor(keyframe.s)} ${toPercent(keyframe.t)}%`);
+                // Hold keyframes keep their color until the next keyframe
+                const next = keyframes[i + 1];
+                if (keyframe.h === 1 && next) stops.push(`${toCssColor(keyframe.s)} ${toPercent(next.keyframe.t)}%`);
+            });
+            if (stops.length === 1) stops.push(stops[0]);
+            track.style.background = `linear-gradient(to right, ${stops.join(", ")}), ${CHECKERBOARD}`;
+        };
+        paintTrack();
+
+        const markers = new Map();
+        keyframes.forEach(({ index, keyframe }) => {
+            const marker = document.createElement("button");
+            marker.className = "keyframe-marker";
+            marker.classList.toggle("selected", index === selected);
+            marker.style.left = `${toPercent(keyframe.t)}%`;
+            marker.style.background = toCssColor(keyframe.s);
+            marker.title = `Frame ${formatFrame(toComposition(keyframe.t))}`;
+            marker.onclick = () => {
+                this.selectedKeyframes.set(propertyPath, index);
+                this.timeline.seek(toComposition(keyframe.t));
+                rebuild();
+            };
+            markers.set(index, marker);
+            track.appendChild(marker);
+        });
+        card.appendChild(track);
+
+        // Editor for the selected keyframe
+        const instance = instances.find(c => c.keyframeIndex === selected);
+        const keyframe = property.k[selected];
+        const editor = document.createElement("div");
+        editor.className = "keyframe-editor";
+
+        const pickerContainer = document.createElement("div");
+        pickerContainer.style.width = "36px";
+        pickerContainer.style.height = "36px";
+        pickerContainer.style.position = "relative";
+
+        const hexLabel = document.createElement("span");
+        hexLabel.className = "keyframe-hex";
+        const updateHexLabel = () => {
+            hexLabel.textContent = appendAlphaToHex(instance.hex, instance.alpha).toUpperCase();
+        };
+        updateHexLabel();
+
+        let startHex = hexLabel.textContent;
+        picker = new ColorPicker({
+            initialColor: appendAlphaToHex(instance.hex, instance.alpha),
+            onChange: (colorObj) => {
+                const colorMap = {
+                    [appendAlphaToHex(instance.hex, instance.alpha).toLowerCase()]:
+                        appendAlphaToHex(colorObj.hex, colorObj.alpha).toLowerCase(),
+                };
+                writeInstanceColor(instance, colorObj.hex, colorObj.alpha);
+
+                this.paintSwatch(picker.trigger, colorObj.hex, colorObj.alpha);
+                markers.get(selected).style.background = toCssColor(keyframe.s);
+                paintTrack();
+                updateHexLabel();
+
+                this.onColorChange(colorMap);
+            },
+            onOpen: () => {
+                startHex = hexLabel.textContent;
+                this.onSaveState();
+            },
+            onClose: () => this.onSaveState(
+                `Changed keyframe at frame ${formatFrame(toComposition(keyframe.t))} ${startHex} → ${hexLabel.textContent}`
+            ),
+            container: pickerContainer,
+            showEyedropper: true,
+        });
+        this.colorPickers.push(picker);
+
+        const trigger = picker.trigger;
+        trigger.style.width = "36px";
+        trigger.style.height = "36px";
+        trigger.style.padding = "0";
+        trigger.style.borderRadius = "50%";
+        trigger.style.border = "none";
+        trigger.style.boxShadow = "inset 0 0 0 1px rgba(0, 0, 0, 0.1)";
+        trigger.innerHTML = "";
+        this.paintSwatch(trigger, instance.hex, instance.alpha);
+
+        const frameLabel = document.createElement("label");
+        frameLabel.className = "keyframe-frame";
+        frameLabel.textContent = "Frame";
+        const frameInput = document.createElement("input");
+        frameInput.type = "number";
+        frameInput.step = "1";
+        frameInput.value = formatFrame(toComposition(keyframe.t));
+        frameInput.onfocus = () => this.onSaveState();
+        frameInput.onchange = () => {
+            const frame = parseFloat(frameInput.value);
+            if (isNaN(frame)) return;
+
+            const previousOrder = property.k;
+            const index = retimeColorKeyframe(property, selected, formatFrame(toLayer(frame)));
+            const original = this.hslManager.getOriginalAt(propertyPath);
+            if (original) {
+                retimeColorKeyframe(original, selected, formatFrame(toLayer(frame)));
+            }
+            // Locks follow their keyframe to its new position
+            this.hslManager.remapKeyframeLocks(propertyPath, i => property.k.indexOf(previousOrder[i]));
+            this.selectedKeyframes.set(propertyPath, index);
+            this.timeline.seek(frame);
+            this.onGradientPositionChange();
+            this.onSaveState(`Moved keyframe to frame ${formatFrame(frame)}`);
+        };
+        frameLabel.appendChild(frameInput);
+
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "action-btn danger-btn keyframe-btn";
+        removeBtn.textContent = "Remove";
+        removeBtn.disabled = keyframes.length <= 1;
+        removeBtn.onclick = () => {
+            const frame = formatFrame(toComposition(keyframe.t));
+            this.onSaveState();
+            if (!removeColorKeyframe(property, selected)) return;
+
+            const original = this.hslManager.getOriginalAt(propertyPath);
+            if (original) {
+                removeColorKeyframe(original, selected);
+            }
+            this.hslManager.remapKeyframeLocks(propertyPath, i => (i === selected ? null : i > selected ? i - 1 : i));
+            this.selectedKeyframes.delete(propertyPath);
+            this.onGradientPositionChange();
+            this.onSaveState(`Removed keyframe at frame ${frame}`);
+        };
+
+        editor.appendChild(pickerContainer);
+        editor.appendChild(hexLabel);
+        editor.appendChild(frameLabel);
+        editor.appendChild(removeBtn);
+        card.appendChild(editor);
+
+        this.registerCard(card, instances);
+        targetContainer.appendChild(card);
+    }
+
+    /**
+     * Track a rendered card and link hovering it to the preview highlight
+     * @param {HTMLElement} card - Card element
+     * @param {Array} instances - Color instances edited by the card
+     */
+    registerCard(card, instances) {
+        this.cards.push({ element: card, instances });
+        card.addEventListener("mouseenter", () => this.onHighlight(instances));
+        card.addEventListener("mouseleave", () => this.onHighlight(null));
+    }
+
+    /**
+     * Scroll to and briefly emphasize the cards editing colors of a rendered element
+     * @param {string} elementPath - Path of the clicked shape or layer
+     * @returns {boolean} True if at least one card was found
+     */
+    focusElementPath(elementPath) {
+        const matches = this.cards.filter(({ instances }) => instances.some(c => c.elementPath === elementPath));
+        if (matches.length === 0) return false;
+
+        matches[0].element.scrollIntoView({ behavior: "smooth", block: "center" });
+        matches.forEach(({ element }) => {
+            element.classList.remove("focused");
+            void element.offsetWidth; // Restart the animation when clicking the same shape again
+            element.classList.add("focused");
+            setTimeout(() => element.classList.remove("focused"), 1600);
+        });
+        return true;
+    }
+
+    /**
+     * Create a label listing the layer names (nm) the given color instances belong to
+     * @param {Array} instances - Color instances
+     * @returns {HTMLElement|null} Label element, or null if no instance has a named layer
+     */
+    createLayerLabel(instances) {
+        const names = [...new Set(instances.map(instance => instance.layerName).filter(Boolean))];
+        if (names.length === 0) return null;
+
+        const layerLabel = document.createElement("span");
+        layerLabel.className = "layer-name";
+        layerLabel.textContent = names.length > 2
+            ? `${names.slice(0, 2).join(", ")} +${names.length - 2}`
+            : names.join(", ");
+        layerLabel.title = names.join("\n");
+        return layerLabel;
+    }
+
+    /**
+     * Paint a swatch with a (possibly translucent) color over a checkerboard
+     * @param {HTMLElement} element - Swatch element
+     * @param {string} hex - 6-digit hex color
+     * @param {number} alpha - Alpha (0-1)
+     */
+    paintSwatch(element, hex, alpha = 1) {
+        if (alpha >= 1) {
+            element.style.background = hex;
+            return;
+        }
+        const color = appendAlphaToHex(hex, alpha);
+        element.style.background = `linear-gradient(${color}, ${color}), ${CHECKERBOARD}`;
+    }
+
+    /**
+     * Create an input for the shape opacity ("o", 0-100) shared by a set of instances
+     * @param {Array} opacityRefs - Static opacity properties of the shapes
+     * @returns {HTMLElement|null} Input row, or null if any shape has no static opacity or they differ
+     */
+    createOpacityInput(opacityRefs) {
+        const refs = [...new Set(opacityRefs)];
+        if (refs.length === 0 || refs.some(ref => !ref) || refs.some(ref => ref.k !== refs[0].k)) {
+            return null;
+        }
+
+        const row = document.createElement("div");
+        row.className = "opacity-row";
+        row.title = "Shape opacity";
+
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = "0";
+        input.max = "100";
+        input.step = "1";
+        input.value = Math.round(refs[0].k);
+        input.onfocus = () => this.onSaveState();
+        input.onchange = () => {
+            const value = parseFloat(input.value);
+            if (isNaN(value)) return;
+            const clamped = Math.max(0, Math.min(100, value));
+            input.value = clamped;
+            refs.forEach(ref => { ref.k = clamped; });
+            this.onColorChange();
+            this.onSaveState(`Opacity ${clamped}%`);
+        };
+
+        const unit = document.createElement("span");
+        unit.textContent = "% opacity";
+
+        row.appendChild(input);
+        row.appendChild(unit);
+        return row;
+    }
+
     /**
      * Render a gradient bar with multiple stops
      * @param {Array} stops - Array of gradient stop objects
@@ -256,6 +723,37 @@ export class ColorRenderer {
         const card = document.createElement("div");
         card.className = "color-card gradient-card";
 
+        const shape = stops[0].shapeRef;
+        const gradientArray = getGradientArray(stops[0]);
+        const stopCount = stops[0].stopCount;
+        // Stop locks of every keyframe are under the gradient's path
+        const gradientPath = stops[0].path.replace(/\.k(\.k(\.\d+\.s)?)?\.\d+$/, "");
+        const shapePath = gradientPath.replace(/\.g$/, "");
+        const arrayPath = stops[0].path.replace(/\.\d+$/, "");
+
+        // Adding, removing or reordering stops re-renders the list as one history step.
+        // change(shape, arr) also runs on the HSL snapshot, so shifts keep the new stops;
+        // mapStop(result) gives how stop locks move.
+        const editStops = (label, change, mapStop = null) => {
+            this.onSaveState();
+            const result = change(shape, gradientArray);
+            if (result === false) return;
+
+            const originalShape = this.hslManager.getOriginalAt(shapePath);
+            const originalArray = this.hslManager.getOriginalAt(arrayPath);
+            if (originalShape && originalArray) {
+                change(originalShape, originalArray);
+            }
+            if (mapStop) {
+                this.hslManager.remapStopLocks(gradientPath, mapStop(result));
+            }
+            this.onGradientPositionChange();
+            this.onSaveState(label);
+        };
+
+        // Assigned once the preview bar exists; stop pickers call it on every change
+        let refreshPreview = () => { };
+
         const stopsContainer = document.createElement("div");
         stopsContainer.className = "gradient-stops";
 
@@ -295,42 +793,34 @@ export class ColorRenderer {
 
             lockBtn.onclick = (e) => {
                 e.stopPropagation();
-                this.hslManager.togglePathLock(stop.path);
-                this.onLockToggle();
+                const locked = this.hslManager.togglePathLock(stop.path);
+                this.onLockToggle(locked ? "Locked gradient stop" : "Unlocked gradient stop");
             };
 
             // Add lock button to stopDiv
             stopDiv.appendChild(lockBtn);
 
             // Create the ColorPicker
+            let startHex = hexLabel.textContent;
             const picker = new ColorPicker({
                 initialColor: stop.hex,
                 onChange: (colorObj) => {
                     const newHex = colorObj.hex;
-                    const { r, g, b } = hexToRgb(newHex);
-                    const normalizedR = r / 255;
-                    const normalizedG = g / 255;
-                    const normalizedB = b / 255;
-
-                    if (stop.ref.hasOwnProperty("s") && Array.isArray(stop.ref.s)) {
-                        stop.ref.s[stop.index + 1] = normalizedR;
-                        stop.ref.s[stop.index + 2] = normalizedG;
-                        stop.ref.s[stop.index + 3] = normalizedB;
-                    } else if (stop.ref.hasOwnProperty("k") && Array.isArray(stop.ref.k)) {
-                        stop.ref.k[stop.index + 1] = normalizedR;
-                        stop.ref.k[stop.index + 2] = normalizedG;
-                        stop.ref.k[stop.index + 3] = normalizedB;
-                    }
-
-                    stop.hex = newHex;
+                    const colorMap = { [stop.hex.toLowerCase()]: newHex.toLowerCase() };
+                    writeInstanceColor(stop, newHex);
                     hexLabel.textContent = newHex.toUpperCase();
 
                     // Update the trigger's background color
                     picker.trigger.style.background = newHex;
+                    refreshPreview();
 
-                    this.onColorChange();
+                    this.onColorChange(colorMap);
+                },
+                onOpen: () => {
+                    startHex = hexLabel.textContent;
+                    this.onSaveState();
                 },
-                onOpen: () => this.onSaveState(),
+                onClose: () => this.onSaveState(`Changed gradient stop ${startHex} → ${hexLabel.textContent}`),
                 container: pickerContainer,
                 showEyedropper: true
             });
@@ -358,26 +848,339 @@ export class ColorRenderer {
             posInput.onfocus = () => this.onSaveState();
             posInput.onchange = () => {
                 this.handleGradientPositionInput(posInput, stop);
-                this.onSaveState();
+                this.onSaveState("Move gradient stop");
             };
 
+            const stopIndex = stop.index / 4;
+            const removeBtn = document.createElement("button");
+            removeBtn.className = "action-btn danger-btn gradient-btn";
+            removeBtn.textContent = "Remove";
+            removeBtn.disabled = stopCount <= 2;
+            removeBtn.onclick = () => editStops(
+                `Removed gradient stop ${hexLabel.textContent}`,
+                (target) => removeGradientStop(target.g, stopIndex),
+                () => s => (s === stopIndex ? null : s > stopIndex ? s - 1 : s)
+            );
+
             stopDiv.appendChild(pickerContainer);
             stopDiv.appendChild(hexLabel);
             stopDiv.appendChild(posInput);
+            stopDiv.appendChild(removeBtn);
             stopsContainer.appendChild(stopDiv);
         });
 
+        // Preview bar showing colors and opacity stops over a checkerboard.
+        // Click it to add a stop, or drag a stop's marker to move it.
+        const preview = document.createElement("div");
+        preview.className = "gradient-preview gradient-editor-bar";
+        preview.title = "Click to add a stop, drag a stop to move it";
+        refreshPreview = () => {
+            preview.style.background = `${this.buildGradientCss(gradientArray, stopCount)}, ${CHECKERBOARD}`;
+        };
+        refreshPreview();
+
+        const offsetAt = (clientX) => {
+            const rect = preview.getBoundingClientRect();
+            const offset = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+            return Math.round(Math.max(0, Math.min(1, offset)) * 1000) / 1000;
+        };
+        preview.onclick = (e) => {
+            if (e.target !== preview) return;
+            const offset = offsetAt(e.clientX);
+            editStops(
+                `Added gradient stop at ${Math.round(offset * 100)}%`,
+                (target, arr) => addGradientStop(target.g, arr, offset),
+                (index) => s => (s >= index ? s + 1 : s)
+            );
+        };
+
+        stops.forEach(stop => {
+            const marker = document.createElement("button");
+            marker.className = "gradient-marker";
+            marker.style.left = `${stop.offset * 100}%`;
+            marker.style.background = stop.hex;
+            marker.title = stop.hex.toUpperCase();
+
+            marker.onpointerdown = (e) => {
+                e.preventDefault();
+                marker.setPointerCapture(e.pointerId);
+                let moved = false;
+
+                // Only the card follows the pointer; the stops are sorted and the animation reloaded on release
+                marker.onpointermove = (event) => {
+                    const offset = offsetAt(event.clientX);
+                    if (!moved) this.onSaveState();
+                    moved = true;
+                    gradientArray[stop.index] = offset;
+                    marker.style.left = `${offset * 100}%`;
+                    refreshPreview();
+                };
+                marker.onpointerup = () => {
+                    marker.onpointermove = null;
+                    marker.onpointerup = null;
+                    if (!moved) return;
+                    this.moveGradientStopTo(stop, gradientArray[stop.index]);
+                    this.onSaveState("Move gradient stop");
+                };
+            };
+            preview.appendChild(marker);
+        });
+
         const infoDiv = document.createElement("div");
         infoDiv.className = "gradient-info";
         const label = document.createElement("label");
         label.textContent = `${stops[0].shapeType} ${startIndex + 1}`;
         infoDiv.appendChild(label);
 
+        const layerLabel = this.createLayerLabel([stops[0]]);
+        if (layerLabel) {
+            infoDiv.appendChild(layerLabel);
+        }
+
+        const opacityInput = this.createOpacityInput([stops[0].opacityRef]);
+        if (opacityInput) {
+            infoDiv.appendChild(opacityInput);
+        }
+
+        // Gradient-wide tools: type, direction and spacing
+        const toolbar = document.createElement("div");
+        toolbar.className = "gradient-toolbar";
+
+        if (shape.t !== undefined) {
+            const typeSelect = document.createElement("select");
+            typeSelect.className = "export-select";
+            typeSelect.title = "Gradient type";
+            [[1, "Linear"], [2, "Radial"]].forEach(([value, text]) => {
+                const option = document.createElement("option");
+                option.value = value;
+                option.textContent = text;
+                option.selected = shape.t === value;
+                typeSelect.appendChild(option);
+            });
+            typeSelect.onchange = () => editStops(`Made gradient ${typeSelect.value === "2" ? "radial" : "linear"}`, (target) => {
+                target.t = Number(typeSelect.value);
+            });
+            toolbar.appendChild(typeSelect);
+        }
+
+        const reverseBtn = document.createElement("button");
+        reverseBtn.className = "action-btn secondary-btn gradient-btn";
+        reverseBtn.textContent = "Reverse";
+        reverseBtn.onclick = () => editStops(
+            "Reversed gradient",
+            (target) => reverseGradient(target.g),
+            () => s => stopCount - 1 - s
+        );
+        toolbar.appendChild(reverseBtn);
+
+        const distributeBtn = document.createElement("button");
+        distributeBtn.className = "action-btn secondary-btn gradient-btn";
+        distributeBtn.textContent = "Distribute";
+        distributeBtn.title = "Space the stops evenly";
+        distributeBtn.onclick = () => editStops("Distributed gradient stops", (target) => distributeGradientStops(target.g));
+        toolbar.appendChild(distributeBtn);
+
+        const points = document.createElement("div");
+        points.className = "gradient-points";
+        [["s", "Start"], ["e", "End"]].forEach(([key, text]) => {
+            const pointInput = this.createGradientPointInput(shape, shapePath, key, text);
+            if (pointInput) {
+                points.appendChild(pointInput);
+            }
+        });
+
+        this.registerCard(card, stops);
+
         card.appendChild(infoDiv);
+        card.appendChild(toolbar);
+        card.appendChild(preview);
         card.appendChild(stopsContainer);
+        if (points.children.length > 0) {
+            card.appendChild(points);
+        }
+
+        const opacityStopsContainer = this.renderOpacityStops(gradientArray, stopCount);
+        if (opacityStopsContainer) {
+            card.appendChild(opacityStopsContainer);
+        }
+
         targetContainer.appendChild(card);
     }
 
+    /**
+     * Create the inputs of a gradient's start or end point (x, y in the shape's coordinates)
+     * @param {Object} shape - Gradient fill or stroke shape
+     * @param {string} shapePath - Path of the shape
+     * @param {string} key - "s" (start point) or "e" (end point)
+     * @param {string} text - Label of the point
+     * @returns {HTMLElement|null} Inputs, a note if the point is animated, or null if the shape has no such point
+     */
+    createGradientPointInput(shape, shapePath, key, text) {
+        const point = shape[key];
+        if (!point || !Array.isArray(point.k)) return null;
+
+        const container = document.createElement("div");
+        container.className = "gradient-point";
+        const label = document.createElement("span");
+        label.textContent = text;
+        container.appendChild(label);
+
+        if (point.a === 1) {
+            label.textContent = `${text}: animated`;
+            return container;
+        }
+
+        ["x", "y"].forEach((axis, i) => {
+            const input = document.createElement("input");
+            input.type = "number";
+            input.step = "1";
+            input.title = `${text} ${axis}`;
+            input.value = Math.round(point.k[i] * 100) / 100;
+            input.onfocus = () => this.onSaveState();
+            input.onchange = () => {
+                const value = parseFloat(input.value);
+                if (isNaN(value)) return;
+
+                point.k[i] = value;
+                // Keep the HSL snapshot in step, or the next shift would move the point back
+                const original = this.hslManager.getOriginalAt(`${shapePath}.${key}`);
+                if (original && Array.isArray(original.k)) {
+                    original.k[i] = value;
+                }
+                this.onColorChange();
+                this.onSaveState(`Moved gradient ${text.toLowerCase()} point`);
+            };
+            container.appendChild(input);
+        });
+        return container;
+    }
+
+    /**
+     * Render the opacity stops stored after the color stops of a gradient
+     * Lottie gradient format: [offset, r, g, b, ... (p times), offset, alpha, offset, alpha, ...]
+     * @param {number[]} arr - Gradient data array
+     * @param {number} stopCount - Number of color stops (g.p)
+     * @returns {HTMLElement|null} Opacity stops container, or null if the gradient has none
+     */
+    renderOpacityStops(arr, stopCount) {
+        if (!arr) return null;
+
+        const start = stopCount * 4;
+        if (arr.length < start + 2) return null;
+
+        const container = document.createElement("div");
+        container.className = "gradient-stops opacity-stops";
+
+        for (let i = start; i + 1 < arr.length; i += 2) {
+            const stopDiv = document.createElement("div");
+            stopDiv.className = "gradient-stop opacity-stop";
+
+            const swatch = document.createElement("div");
+            swatch.className = "opacity-swatch";
+            this.paintSwatch(swatch, "#000000", arr[i + 1]);
+
+            const label = document.createElement("label");
+            label.textContent = "Opacity";
+
+            const alphaInput = document.createElement("input");
+            alphaInput.type = "number";
+            alphaInput.step = "1";
+            alphaInput.min = "0";
+            alphaInput.max = "100";
+            alphaInput.title = "Opacity (%)";
+            alphaInput.value = Math.round(arr[i + 1] * 100);
+            alphaInput.onfocus = () => this.onSaveState();
+            alphaInput.onchange = () => {
+                const value = parseFloat(alphaInput.value);
+                if (isNaN(value)) return;
+                this.handleOpacityStopInput(arr, stopCount, i, arr[i], Math.max(0, Math.min(100, value)) / 100);
+                this.onSaveState("Change gradient opacity");
+            };
+
+            const posInput = document.createElement("input");
+            posInput.type = "number";
+            posInput.step = "0.01";
+            posInput.min = "0";
+            posInput.max = "1";
+            posInput.title = "Position";
+            posInput.value = arr[i].toFixed(3);
+            posInput.onfocus = () => this.onSaveState();
+            posInput.onchange = () => {
+                const value = parseFloat(posInput.value);
+                if (isNaN(value)) return;
+                this.handleOpacityStopInput(arr, stopCount, i, Math.max(0, Math.min(1, value)), arr[i + 1]);
+                this.onSaveState("Move gradient opacity stop");
+            };
+
+            stopDiv.appendChild(swatch);
+            stopDiv.appendChild(label);
+            stopDiv.appendChild(alphaInput);
+            stopDiv.appendChild(posInput);
+            container.appendChild(stopDiv);
+        }
+
+        return container;
+    }
+
+    /**
+     * Handle an opacity stop change and keep the opacity stops sorted by offset
+     * @param {number[]} arr - Gradient data array
+     * @param {number} stopCount - Number of color stops
+     * @param {number} index - Array index of the opacity stop's offset
+     * @param {number} offset - New offset (0-1)
+     * @param {number} alpha - New alpha (0-1)
+     */
+    handleOpacityStopInput(arr, stopCount, index, offset, alpha) {
+        arr[index] = offset;
+        arr[index + 1] = alpha;
+
+        const start = stopCount * 4;
+        const pairs = [];
+        for (let i = start; i + 1 < arr.length; i += 2) {
+            pairs.push([arr[i], arr[i + 1]]);
+        }
+        pairs.sort((a, b) => a[0] - b[0]);
+        pairs.forEach((pair, j) => {
+            arr[start + j * 2] = pair[0];
+            arr[start + j * 2 + 1] = pair[1];
+        });
+
+        this.onGradientPositionChange();
+    }
+
+    /**
+     * Build a CSS linear-gradient from Lottie gradient data, including opacity stops
+     * @param {number[]} arr - Gradient data array
+     * @param {number} stopCount - Number of color stops
+     * @returns {string} CSS gradient
+     */
+    buildGradientCss(arr, stopCount) {
+        if (!arr) return "none";
+
+        const colorStops = [];
+        for (let i = 0; i < stopCount * 4 && i + 3 < arr.length; i += 4) {
+            colorStops.push({ offset: arr[i], rgb: [arr[i + 1], arr[i + 2], arr[i + 3]] });
+        }
+        const alphaStops = [];
+        for (let i = stopCount * 4; i + 1 < arr.length; i += 2) {
+            alphaStops.push({ offset: arr[i], alpha: arr[i + 1] });
+        }
+        if (colorStops.length === 0) return "none";
+
+        colorStops.sort((a, b) => a.offset - b.offset);
+        alphaStops.sort((a, b) => a.offset - b.offset);
+
+        const offsets = [...new Set([...colorStops, ...alphaStops].map(s => s.offset))].sort((a, b) => a - b);
+        const cssStops = offsets.map(offset => {
+            const [r, g, b] = sampleStops(colorStops, offset, s => s.rgb);
+            const [a] = alphaStops.length > 0 ? sampleStops(alphaStops, offset, s => [s.alpha]) : [1];
+            return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${a.toFixed(3)}) ${(offset * 100).toFixed(1)}%`;
+        });
+        if (cssStops.length === 1) cssStops.push(cssStops[0]);
+
+        return `linear-gradient(to right, ${cssStops.join(", ")})`;
+    }
+
     /**
      * Handle gradient position input change
      * @param {HTMLInputElement} input - Position input element
@@ -387,38 +1190,31 @@ export class ColorRenderer {
         const newOffset = parseFloat(input.value);
         if (isNaN(newOffset)) return;
 
-        let arr;
-        if (c.ref.hasOwnProperty("s") && Array.isArray(c.ref.s)) {
-            arr = c.ref.s;
-        } else if (c.ref.hasOwnProperty("k") && Array.isArray(c.ref.k)) {
-            arr = c.ref.k;
-        }
-
-        if (arr) {
-            arr[c.index] = newOffset;
-
-            // Sort gradient stops after offset change to maintain proper rendering order
-            // Lottie gradient format: [offset, r, g, b, offset, r, g, b, ...]
-            const chunkSize = 4;
-            const numStops = c.stopCount || Math.floor(arr.length / chunkSize);
-            const stops = [];
-
-            for (let i = 0; i < numStops; i++) {
-                const start = i * chunkSize;
-                stops.push(arr.slice(start, start + chunkSize));
-            }
+        this.moveGradientStopTo(c, newOffset);
+    }
 
-            stops.sort((a, b) => a[0] - b[0]);
+    /**
+     * Move a gradient stop and keep the stops sorted by offset to maintain proper rendering order
+     * (Lottie gradient format: [offset, r, g, b, offset, r, g, b, ...]). Locks follow their stops.
+     * @param {Object} c - Color object of the stop
+     * @param {number} offset - New offset (0-1)
+     */
+    moveGradientStopTo(c, offset) {
+        const arr = getGradientArray(c);
 
-            for (let i = 0; i < numStops; i++) {
-                const start = i * chunkSize;
-                for (let j = 0; j < chunkSize; j++) {
-                    arr[start + j] = stops[i][j];
-                }
+        if (arr) {
+            const numStops = c.stopCount || Math.floor(arr.length / 4);
+            const arrayPath = c.path.replace(/\.\d+$/, "");
+            const order = moveGradientStop(arr, numStops, c.index / 4, offset);
+            // The HSL snapshot gets the same move, so shifts keep it
+            const original = this.hslManager.getOriginalAt(arrayPath);
+            if (original) {
+                moveGradientStop(original, numStops, c.index / 4, offset);
             }
+            this.hslManager.remapStopLocks(arrayPath, stop => order.indexOf(stop));
         }
 
-        c.offset = newOffset;
+        c.offset = offset;
         this.onGradientPositionChange();
     }
 }
\ No newline at end of file
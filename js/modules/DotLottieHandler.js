@@ -0,0 +1,165 @@
+import { createZip, readZip } from "../utils/zip.js";
+
+const IMAGE_MIME_TYPES = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    webp: "image/webp",
+    gif: "image/gif",
+    svg: "image/svg+xml",
+};
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Data
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+    let binary = "";
+    // Chunked so large images do not overflow the argument list
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Reads and writes dotLottie archives (.lottie: a ZIP holding manifest.json,
+ * the animations and their images, plus optional themes)
+ */
+export class DotLottieHandler {
+    /**
+     * @param {Object} codec - Codec with inflateRaw/deflateRaw(Uint8Array) => Uint8Array (defaults to the global pako)
+     */
+    constructor(codec = globalThis.pako) {
+        this.codec = codec;
+    }
+
+    /**
+     * Read a dotLottie archive. Embedded images are inlined as data URIs so the
+     * animations render on their own; write() puts the original references back.
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {{manifest: Object, animations: Array<{id: string, path: string, animData: Object, images: Object}>,
+     *   entries: Array<{name: string, data: Uint8Array}>}} Archive
+     */
+    read(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const inflateRaw = this.codec && this.codec.inflateRaw ? (data) => this.codec.inflateRaw(data) : undefined;
+        const entries = readZip(bytes, inflateRaw);
+        const files = new Map(entries.map(entry => [entry.name, entry.data]));
+        const decoder = new TextDecoder();
+
+        if (!files.has("manifest.json")) {
+            throw new Error("Not a dotLottie file: manifest.json is missing");
+        }
+        const manifest = JSON.parse(decoder.decode(files.get("manifest.json")));
+
+        const animations = (manifest.animations || []).map(({ id }) => {
+            // Version 1 archives use animations/, version 2 uses a/
+            const path = [`animations/${id}.json`, `a/${id}.json`].find(candidate => files.has(candidate));
+            if (!path) {
+                throw new Error(`Animation "${id}" listed in the manifest is missing from the archive`);
+            }
+            const animData = JSON.parse(decoder.decode(files.get(path)));
+            const images = this.inlineImages(animData, files);
+            return { id, path, animData, images };
+        });
+
+        if (animations.length === 0) {
+            throw new Error("The dotLottie file contains no animations");
+        }
+        return { manifest, animations, entries };
+    }
+
+    /**
+     * Create an archive for animations that did not come from a dotLottie file
+     * @param {Array<string>} ids - Animation ids
+     * @returns {Object} Archive (see read()); the animation files are filled in by write()
+     */
+    create(ids) {
+        const manifest = {
+            version: "1",
+            generator: "Lottie Editor",
+            animations: ids.map(id => ({ id })),
+        };
+        const animations = ids.map(id => ({ id, path: `animations/${id}.json`, animData: null, images: {} }));
+
+        return {
+            manifest,
+            animations,
+            entries: [
+                { name: "manifest.json", data: JSON.stringify(manifest) },
+                ...animations.map(animation => ({ name: animation.path, data: "" })),
+            ],
+        };
+    }
+
+    /**
+     * Build a dotLottie file, replacing the edited animations and keeping every
+     * other entry (manifest, themes, images, other animations) as it was
+     * @param {Object} archive - Archive from read() or create()
+     * @param {Object} editedAnimations - Animation id → animation data to write
+     * @returns {Uint8Array} dotLottie file contents
+     */
+    write(archive, editedAnimations) {
+        const files = archive.entries.map(entry => {
+            const animation = archive.animations.find(a => a.path === entry.name);
+            const animData = animation && editedAnimations[animation.id];
+            if (!animData) return entry;
+
+            const restored = JSON.parse(JSON.stringify(animData));
+            this.restoreImages(restored, animation.images);
+            return { name: entry.name, data: JSON.stringify(restored) };
+        });
+
+        const deflateRaw = this.codec && this.codec.deflateRaw ? (data) => this.codec.deflateRaw(data) : undefined;
+        return createZip(files, deflateRaw);
+    }
+
+    /**
+     * Replace references to archive images with data URIs
+     * @param {Object} animData - Animation data to modify in place
+     * @param {Map<string, Uint8Array>} files - Archive files by name
+     * @returns {Object} Asset id → original { u, p, e } of each inlined image
+     */
+    inlineImages(animData, files) {
+        const images = {};
+
+        (animData.assets || []).forEach(asset => {
+            if (typeof asset.p !== "string" || asset.e === 1 || asset.p.startsWith("data:")) return;
+
+            const folder = (asset.u || "").replace(/^\/+/, "");
+            const path = [`${folder}${asset.p}`, `images/${asset.p}`, `i/${asset.p}`].find(candidate => files.has(candidate));
+            if (!path) return;
+
+            const extension = asset.p.split(".").pop().toLowerCase();
+            const mimeType = IMAGE_MIME_TYPES[extension] || "application/octet-stream";
+            images[asset.id] = { u: asset.u, p: asset.p, e: asset.e };
+            asset.u = "";
+            asset.p = `data:${mimeType};base64,${toBase64(files.get(path))}`;
+            asset.e = 1;
+        });
+
+        return images;
+    }
+
+    /**
+     * Point inlined images back at their archive files
+     * @param {Object} animData - Animation data to modify in place
+     * @param {Object} images - Original image references from inlineImages()
+     */
+    restoreImages(animData, images) {
+        (animData.assets || []).forEach(asset => {
+            const original = images[asset.id];
+            if (!original || typeof asset.p !== "string" || !asset.p.startsWith("data:")) return;
+
+            asset.p = original.p;
+            asset.u = original.u;
+            if (original.e === undefined) {
+                delete asset.e;
+            } else {
+                asset.e = original.e;
+            }
+        });
+    }
+}
@@ -1,16 +1,62 @@
+import { createZip } from "../utils/zip.js";
+import { DotLottieHandler } from "./DotLottieHandler.js";
+
 /**
  * Handles exporting animation data to different formats
  */
 export class ExportManager {
     /**
-     * Export animation data to specified format
+     * @param {Object} codec - Codec with gzip and deflateRaw => Uint8Array (defaults to the global pako)
+     */
+    constructor(codec = globalThis.pako) {
+        this.codec = codec;
+        this.dotLottie = new DotLottieHandler(codec);
+    }
+
+    /**
+     * Export animation data to specified format and download it
      * @param {Object} originalAnimData - Original animation data
      * @param {Object} modifiedAnimData - Modified animation data with color changes
      * @param {string} format - Export format ('json' or 'tgs')
      * @param {Function} deepCopyColorsFn - Function to deep copy colors between objects
      */
     export(originalAnimData, modifiedAnimData, format, deepCopyColorsFn) {
+        const { content, filename, mimeType } = this.buildExport(originalAnimData, modifiedAnimData, format, deepCopyColorsFn);
+        this.downloadFile(content, filename, mimeType);
+    }
+
+    /**
+     * Build the exported file contents without touching the DOM
+     * @param {Object} originalAnimData - Original animation data
+     * @param {Object} modifiedAnimData - Modified animation data with color changes
+     * @param {string} format - Export format ('json' or 'tgs')
+     * @param {Function} deepCopyColorsFn - Function to deep copy colors between objects
+     * @returns {{content: string|Uint8Array, filename: string, mimeType: string}} Exported file
+     */
+    buildExport(originalAnimData, modifiedAnimData, format, deepCopyColorsFn) {
+        return this.serialize(this.buildExportData(originalAnimData, modifiedAnimData, deepCopyColorsFn), format);
+    }
+
+    /**
+     * Build the animation data that gets exported: the original file with the modified colors copied in
+     * @param {Object} originalAnimData - Original animation data
+     * @param {Object} modifiedAnimData - Modified animation data with color changes
+     * @param {Function} deepCopyColorsFn - Function to deep copy colors between objects
+     * @returns {Object} Export data
+     */
+    buildExportData(originalAnimData, modifiedAnimData, deepCopyColorsFn) {
         const finalExportData = JSON.parse(JSON.stringify(originalAnimData));
+        deepCopyColorsFn(modifiedAnimData, finalExportData);
+        return finalExportData;
+    }
+
+    /**
+     * Serialize export data to a JSON or TGS file
+     * @param {Object} finalExportData - Animation data to write
+     * @param {string} format - Export format ('json' or 'tgs')
+     * @returns {{content: string|Uint8Array, filename: string, mimeType: string}} Exported file
+     */
+    serialize(finalExportData, format) {
         let filename = "lottie-edited";
         let mimeType = "application/json";
         let fileExtension = "json";
@@ -20,13 +66,10 @@ export class ExportManager {
             mimeType = "application/x-tgs";
         }
 
-        // Copy modified colors to the export data
-        deepCopyColorsFn(modifiedAnimData, finalExportData);
-
         let fileContent;
         if (fileExtension === "tgs") {
             const jsonString = JSON.stringify(finalExportData);
-            const compressed = pako.gzip(jsonString);
+            const compressed = this.codec.gzip(jsonString);
             fileContent = compressed;
             filename += ".tgs";
         } else {
@@ -34,7 +77,92 @@ export class ExportManager {
             filename += ".json";
         }
 
-        this.downloadFile(fileContent, filename, mimeType);
+        return { content: fileContent, filename, mimeType };
+    }
+
+    /**
+     * Build a dotLottie file with the edited animations. The manifest, themes, images and
+     * untouched animations of the source archive are kept.
+     * @param {Object|null} archive - Archive the animations were opened from, or null to create a new one
+     * @param {Object} animations - Animation id → export data
+     * @returns {{content: Uint8Array, filename: string, mimeType: string}} Exported file
+     */
+    buildDotLottie(archive, animations) {
+        const source = archive || this.dotLottie.create(Object.keys(animations));
+        return {
+            content: this.dotLottie.write(source, animations),
+            filename: "lottie-edited.lottie",
+            mimeType: "application/zip",
+        };
+    }
+
+    /**
+     * Build a ZIP holding an animation with slots and one file per alternate theme
+     * @param {Object} exportData - Animation data with slots and sid references
+     * @param {Array<{id: string, data: Object}>} themes - Theme files (written to themes/<id>.json)
+     * @returns {{content: Uint8Array, filename: string, mimeType: string}} Exported file
+     */
+    buildThemedExport(exportData, themes) {
+        const files = [
+            { name: "lottie-edited.json", data: JSON.stringify(exportData) },
+            ...themes.map(theme => ({ name: `themes/${theme.id}.json`, data: JSON.stringify(theme.data, null, 2) })),
+        ];
+        return { content: this.createArchive(files), filename: "lottie-slots.zip", mimeType: "application/zip" };
+    }
+
+    /**
+     * Build a ZIP holding an animation, its color manifest, the matching CSS variables and the
+     * runtime helper that applies overrides
+     * @param {Object} exportData - Animation data the manifest paths point into
+     * @param {Object} manifest - Color manifest
+     * @param {string} runtimeSource - Source of the runtime helper module
+     * @param {string} cssSource - Stylesheet with one variable per manifest color
+     * @returns {{content: Uint8Array, filename: string, mimeType: string}} Exported file
+     */
+    buildColorKit(exportData, manifest, runtimeSource, cssSource) {
+        const files = [
+            { name: "lottie-edited.json", data: JSON.stringify(exportData) },
+            { name: "lottie-colors.json", data: JSON.stringify(manifest, null, 2) },
+            { name: "lottie-colors.css", data: cssSource },
+            { name: "lottie-colors.js", data: runtimeSource },
+        ];
+        return { content: this.createArchive(files), filename: "lottie-color-kit.zip", mimeType: "application/zip" };
+    }
+
+    /**
+     * Build a ZIP archive, deflating entries when the codec supports it
+     * @param {Array<{name: string, data: Uint8Array|string}>} files - Archive entries
+     * @returns {Uint8Array} ZIP file contents
+     */
+    createArchive(files) {
+        const deflateRaw = this.codec && this.codec.deflateRaw ? (data) => this.codec.deflateRaw(data) : undefined;
+        return createZip(files, deflateRaw);
+    }
+
+    /**
+     * Export several documents into one ZIP archive and download it.
+     * Each file keeps its original format (.json or .tgs).
+     * @param {Array<{name: string, originalAnimData: Object, animData: Object}>} documents - Open documents
+     * @param {Function} deepCopyColorsFn - Function to deep copy colors between objects
+     */
+    exportZip(documents, deepCopyColorsFn) {
+        const usedNames = new Set();
+        const files = documents.map(doc => {
+            const format = doc.name.toLowerCase().endsWith(".tgs") ? "tgs" : "json";
+            const { content } = this.buildExport(doc.originalAnimData, doc.animData, format, deepCopyColorsFn);
+
+            // Files opened twice (or with the same name) get a numbered suffix
+            const baseName = doc.name.replace(/\.(json|tgs|lottie)$/i, "");
+            let name = `${baseName}.${format}`;
+            for (let i = 2; usedNames.has(name); i++) {
+                name = `${baseName} (${i}).${format}`;
+            }
+            usedNames.add(name);
+
+            return { name, data: content };
+        });
+
+        this.downloadFile(this.createArchive(files), "lottie-edited.zip", "application/zip");
     }
 
     /**
@@ -1,7 +1,18 @@
+import { DotLottieHandler } from "./DotLottieHandler.js";
+import { copyColors } from "../utils/colorCopy.js";
+
 /**
- * Handles file loading and parsing for Lottie/TGS files
+ * Handles file loading and parsing for Lottie/TGS/dotLottie files
  */
 export class FileHandler {
+    /**
+     * @param {Object} codec - Codec with ungzip and inflateRaw(Uint8Array) => Uint8Array (defaults to the global pako)
+     */
+    constructor(codec = globalThis.pako) {
+        this.codec = codec;
+        this.dotLottie = new DotLottieHandler(codec);
+    }
+
     /**
      * Load and parse a Lottie or TGS file
      * @param {File} file - The file to load
@@ -12,21 +23,38 @@ export class FileHandler {
             throw new Error("No file provided");
         }
 
-        let text;
+        const buffer = await file.arrayBuffer();
+        return this.parseBuffer(file.name, buffer);
+    }
+
+    /**
+     * Load a dotLottie archive
+     * @param {File} file - The .lottie file to load
+     * @returns {Promise<Object>} Archive with its manifest and animations (see DotLottieHandler.read)
+     */
+    async loadDotLottie(file) {
+        if (!file) {
+            throw new Error("No file provided");
+        }
+
+        return this.dotLottie.read(await file.arrayBuffer());
+    }
+
+    /**
+     * Parse the contents of a Lottie or TGS file
+     * @param {string} fileName - File name, used to detect TGS files
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {Object} Parsed animation data
+     */
+    parseBuffer(fileName, buffer) {
+        let bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
 
         // Handle TGS (compressed) files
-        if (file.name.toLowerCase().endsWith(".tgs")) {
-            const buffer = await file.arrayBuffer();
-            const decompressed = pako.ungzip(new Uint8Array(buffer), {
-                to: "string",
-            });
-            text = decompressed;
-        } else {
-            // Handle regular JSON files
-            text = await file.text();
+        if (fileName.toLowerCase().endsWith(".tgs")) {
+            bytes = this.codec.ungzip(bytes);
         }
 
-        return JSON.parse(text);
+        return JSON.parse(new TextDecoder().decode(bytes));
     }
 
     /**
@@ -35,42 +63,6 @@ export class FileHandler {
      * @param {Object} targetObj - Target object to copy colors to
      */
     deepTraverseAndCopyColors(sourceObj, targetObj) {
-        if (!sourceObj || typeof sourceObj !== "object" || !targetObj || typeof targetObj !== "object") {
-            return;
-        }
-
-        if (Array.isArray(sourceObj)) {
-            for (let i = 0; i < sourceObj.length; i++) {
-                if (targetObj[i]) {
-                    this.deepTraverseAndCopyColors(sourceObj[i], targetObj[i]);
-                }
-            }
-        } else {
-            for (const key in sourceObj) {
-                if (!sourceObj.hasOwnProperty(key)) continue;
-
-                if (key === "c" || key === "sc") {
-                    if (sourceObj[key] && sourceObj[key].k) {
-                        if (targetObj[key] && targetObj[key].k) {
-                            if (Array.isArray(sourceObj[key].k)) {
-                                targetObj[key].k = sourceObj[key].k;
-                            }
-                        }
-                    }
-                } else if (key === "g") {
-                    if (sourceObj[key] && Array.isArray(sourceObj[key].k)) {
-                        if (targetObj[key] && Array.isArray(targetObj[key].k)) {
-                            targetObj[key].k = sourceObj[key].k;
-                        }
-                    } else if (sourceObj[key] && sourceObj[key].k && Array.isArray(sourceObj[key].k.k)) {
-                        if (targetObj[key] && targetObj[key].k && Array.isArray(targetObj[key].k.k)) {
-                            targetObj[key].k.k = sourceObj[key].k.k;
-                        }
-                    }
-                } else if (typeof sourceObj[key] === "object" && sourceObj[key] !== null) {
-                    this.deepTraverseAndCopyColors(sourceObj[key], targetObj[key]);
-                }
-            }
-        }
+        copyColors(sourceObj, targetObj);
     }
 }
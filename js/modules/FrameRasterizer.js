@@ -0,0 +1,106 @@
+import { AnimationController } from "./AnimationController.js";
+
+let nextContainerId = 1;
+
+/**
+ * Renders individual frames of an animation to a canvas off-screen,
+ * using lottie-web's canvas renderer through an AnimationController
+ */
+export class FrameRasterizer {
+    constructor() {
+        this.container = null;
+        this.controller = null;
+        this.canvas = null;
+        this.context = null;
+    }
+
+    /**
+     * Load animation data into an off-screen player of the given size
+     * @param {Object} animData - Animation data
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @returns {Promise<number>} Total frames, once the animation (including images and fonts) is loaded
+     */
+    load(animData, width, height) {
+        this.destroy();
+
+        // Kept in the layout (not display: none) so lottie-web can size its canvas
+        this.container = document.createElement("div");
+        this.container.id = `frame-rasterizer-${nextContainerId++}`;
+        Object.assign(this.container.style, {
+            position: "fixed",
+            left: "-100000px",
+            top: "0",
+            width: `${width}px`,
+            height: `${height}px`,
+            pointerEvents: "none",
+        });
+        document.body.appendChild(this.container);
+
+        this.canvas = document.createElement("canvas");
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.context = this.canvas.getContext("2d");
+
+        this.controller = new AnimationController(this.container.id, {
+            renderer: "canvas",
+            rendererSettings: { clearCanvas: true, dpr: 1, preserveAspectRatio: "xMidYMid meet" },
+        });
+
+        return new Promise((resolve, reject) => {
+            try {
+                this.controller.loadAnimation(animData, (totalFrames) => resolve(totalFrames));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Render a frame onto the output canvas
+     * @param {number} frame - Frame number (may be fractional)
+     * @param {string|null} background - CSS background color, or null for transparent
+     * @returns {HTMLCanvasElement} Output canvas (reused between calls)
+     */
+    renderFrame(frame, background = null) {
+        this.controller.goToFrame(frame, true);
+
+        const { width, height } = this.canvas;
+        this.context.clearRect(0, 0, width, height);
+        if (background) {
+            this.context.fillStyle = background;
+            this.context.fillRect(0, 0, width, height);
+        }
+
+        const source = this.container.querySelector("canvas");
+        if (source) {
+            this.context.drawImage(source, 0, 0, width, height);
+        }
+        return this.canvas;
+    }
+
+    /**
+     * Render a frame and read back its pixels
+     * @param {number} frame - Frame number
+     * @param {string|null} background - CSS background color, or null for transparent
+     * @returns {ImageData} Frame pixels
+     */
+    getFrameImageData(frame, background = null) {
+        this.renderFrame(frame, background);
+        return this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Destroy the off-screen player
+     */
+    destroy() {
+        if (this.controller) {
+            this.controller.clear();
+            this.controller = null;
+        }
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
@@ -0,0 +1,203 @@
+import { quantize } from "../utils/quantize.js";
+
+/**
+ * Growable little-endian byte buffer
+ */
+class ByteBuffer {
+    constructor() {
+        this.bytes = new Uint8Array(4096);
+        this.length = 0;
+    }
+
+    ensure(size) {
+        if (this.length + size <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + size) capacity *= 2;
+        const next = new Uint8Array(capacity);
+        next.set(this.bytes.subarray(0, this.length));
+        this.bytes = next;
+    }
+
+    writeByte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value & 0xff;
+    }
+
+    writeShort(value) {
+        this.writeByte(value);
+        this.writeByte(value >> 8);
+    }
+
+    writeBytes(values) {
+        this.ensure(values.length);
+        this.bytes.set(values, this.length);
+        this.length += values.length;
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) this.writeByte(text.charCodeAt(i));
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * Encodes RGBA frames into an animated GIF (looping, one local palette per frame)
+ */
+export class GifEncoder {
+    /**
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Object} options - { fps, transparent }: frames per second, and whether pixels below 50% alpha are transparent
+     */
+    constructor(width, height, { fps, transparent = false }) {
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.transparent = transparent;
+        this.frameCount = 0;
+        this.out = new ByteBuffer();
+
+        this.out.writeString("GIF89a");
+        this.out.writeShort(width);
+        this.out.writeShort(height);
+        this.out.writeByte(0); // No global color table
+        this.out.writeByte(0); // Background color index
+        this.out.writeByte(0); // Pixel aspect ratio
+
+        // Netscape extension: loop forever
+        this.out.writeBytes([0x21, 0xff, 0x0b]);
+        this.out.writeString("NETSCAPE2.0");
+        this.out.writeBytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+    }
+
+    /**
+     * Add a frame
+     * @param {ImageData} imageData - Frame pixels (width x height)
+     */
+    addFrame(imageData) {
+        const pixels = imageData.data;
+        const { palette, map } = quantize(pixels, this.transparent ? 255 : 256);
+
+        // Index 0 is reserved for transparent pixels
+        const offset = this.transparent ? 1 : 0;
+        const colorCount = palette.length + offset;
+        let bits = 1;
+        while ((1 << bits) < colorCount) bits++;
+
+        const indices = new Uint8Array(this.width * this.height);
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            indices[i] = this.transparent && pixels[p + 3] < 128
+                ? 0
+                : map(pixels[p], pixels[p + 1], pixels[p + 2]) + offset;
+        }
+
+        // Delays are in 1/100 s; spread the rounding so the total duration stays exact
+        const delay = Math.round(((this.frameCount + 1) * 100) / this.fps) - Math.round((this.frameCount * 100) / this.fps);
+        this.frameCount++;
+
+        // Graphic control extension
+        this.out.writeBytes([0x21, 0xf9, 0x04]);
+        // Disposal: restore to background for transparent frames, otherwise leave in place
+        this.out.writeByte(this.transparent ? (2 << 2) | 1 : 1 << 2);
+        this.out.writeShort(Math.max(delay, 1));
+        this.out.writeByte(0); // Transparent color index
+        this.out.writeByte(0);
+
+        // Image descriptor with a local color table
+        this.out.writeByte(0x2c);
+        this.out.writeShort(0);
+        this.out.writeShort(0);
+        this.out.writeShort(this.width);
+        this.out.writeShort(this.height);
+        this.out.writeByte(0x80 | (bits - 1));
+
+        const table = new Uint8Array((1 << bits) * 3);
+        palette.forEach((color, i) => table.set(color, (i + offset) * 3));
+        this.out.writeBytes(table);
+
+        this.writeLzw(indices, Math.max(2, bits));
+    }
+
+    /**
+     * Write LZW-compressed image data in sub-blocks
+     * @param {Uint8Array} indices - Palette index per pixel
+     * @param {number} minCodeSize - Minimum code size
+     */
+    writeLzw(indices, minCodeSize) {
+        this.out.writeByte(minCodeSize);
+
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let dictionary = new Map();
+
+        const block = new Uint8Array(255);
+        let blockLength = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const flushBlock = () => {
+            if (blockLength === 0) return;
+            this.out.writeByte(blockLength);
+            this.out.writeBytes(block.subarray(0, blockLength));
+            blockLength = 0;
+        };
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                block[blockLength++] = bitBuffer & 0xff;
+                if (blockLength === 255) flushBlock();
+                bitBuffer >>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const existing = dictionary.get(key);
+            if (existing !== undefined) {
+                prefix = existing;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode < 4096) {
+                dictionary.set(key, nextCode++);
+                if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+            } else {
+                // Dictionary full: start over
+                emit(clearCode);
+                dictionary = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(endCode);
+
+        if (bitCount > 0) {
+            block[blockLength++] = bitBuffer & 0xff;
+            if (blockLength === 255) flushBlock();
+        }
+        flushBlock();
+        this.out.writeByte(0); // Block terminator
+    }
+
+    /**
+     * Finish the file
+     * @returns {Uint8Array} GIF file contents
+     */
+    finish() {
+        this.out.writeByte(0x3b);
+        return this.out.toUint8Array();
+    }
+}
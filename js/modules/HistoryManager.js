@@ -1,59 +1,387 @@
+import { isTextDocument, isTextAnimatorPath } from "../utils/lottieUtils.js";
+
+// Shape types whose opacity ("o") is edited along with their color
+const STYLE_TYPES = ["fl", "st", "gf", "gs"];
+// Gradient shapes also have an editable type (t) and start/end points (s, e)
+const GRADIENT_TYPES = ["gf", "gs"];
+// Abandoned futures kept for switching back (the oldest are dropped first)
+const MAX_BRANCHES = 20;
+
 /**
- * Manages undo/redo history for animation data changes
+ * Manages undo/redo history for animation data changes.
+ * Each step stores only the color properties it changed (path, old value, new value)
+ * instead of a copy of the whole animation, so long histories stay cheap on large files.
  */
 export class HistoryManager {
-    constructor(maxHistory = 20) {
+    constructor(maxHistory = 500) {
+        // Applied steps ({ label, patches, hsl: { before, after }, locks?: { before, after }, original?, time, thumbnail? })
         this.historyStack = [];
         this.redoStack = [];
+        this.branches = []; // Undone steps replaced by a new edit ({ id, at, steps, branches })
+        this.nextBranchId = 1;
         this.MAX_HISTORY = maxHistory;
+        this.colors = null; // Color property path → JSON value at the last saved state
+        this.hsl = null; // HSL adjustments at the last saved state
+        this.locks = []; // Locked color paths at the last saved state (sorted)
+        this.originals = null; // Color property path → JSON value of the HSL snapshot at the last saved state
     }
 
     /**
-     * Save current state to history
-     * @param {Object} animData - Current animation data to save
+     * Save current state to history. The first call only records the starting point;
+     * later calls add a step holding the color properties changed since the previous call.
+     * Saving after an undo keeps the undone steps as a branch.
+     * @param {Object} state - { animData, hsl, lockedPaths, originalAnimData } current animation data, HSL adjustments,
+     *   locks and HSL snapshot (null if there is none)
+     * @param {string} label - Description of the step (shown in the history panel)
+     * @returns {Object|null} The new step, or null if nothing changed
      */
-    saveState(animData) {
-        if (!animData) return;
+    saveState(state, label = "Edit") {
+        if (!state || !state.animData) return null;
+
+        const colors = this.snapshot(state.animData);
+        const hsl = { ...state.hsl };
+        const locks = [...(state.lockedPaths || [])].sort();
+        const originals = state.originalAnimData ? this.snapshot(state.originalAnimData) : null;
+        if (!this.colors) {
+            this.colors = colors;
+            this.hsl = hsl;
+            this.locks = locks;
+            this.originals = originals;
+            return null;
+        }
 
-        const newState = JSON.parse(JSON.stringify(animData));
+        // Don't save if nothing changed since the last state
+        const patches = this.diff(this.colors, colors);
+        const hslChanged = JSON.stringify(hsl) !== JSON.stringify(this.hsl);
+        const locksChanged = JSON.stringify(locks) !== JSON.stringify(this.locks);
+        if (patches.length === 0 && !hslChanged && !locksChanged) return null;
 
-        // Don't save if identical to last state
-        if (this.historyStack.length > 0) {
-            const lastState = this.historyStack[this.historyStack.length - 1];
-            if (JSON.stringify(newState) === JSON.stringify(lastState)) {
-                return;
-            }
+        if (this.redoStack.length > 0) {
+            this.archiveFuture();
         }
 
-        this.historyStack.push(newState);
+        const step = { label, patches, hsl: { before: this.hsl, after: hsl }, time: Date.now() };
+        if (locksChanged) {
+            step.locks = { before: this.locks, after: locks };
+        }
+        // Edits repeated on the HSL snapshot are undone with the step, so later shifts don't bring them back
+        const original = this.diffOriginals(this.originals, originals);
+        if (original) {
+            step.original = original;
+        }
+        this.historyStack.push(step);
         if (this.historyStack.length > this.MAX_HISTORY) {
             this.historyStack.shift();
+            // Positions move down by one; branches from the dropped starting state go with it
+            this.branches = this.branches
+                .filter(branch => branch.at > 0)
+                .map(branch => ({ ...branch, at: branch.at - 1 }));
+        }
+        this.colors = colors;
+        this.hsl = hsl;
+        this.locks = locks;
+        this.originals = originals;
+        return step;
+    }
+
+    /**
+     * Undo the last change. Unsaved edits made since the last saved state are discarded.
+     * @param {Object} animData - Current animation data (modified in place)
+     * @param {Object|null} originalAnimData - Current HSL snapshot (modified in place)
+     * @returns {{label: string, hsl: Object, lockedPaths: string[], originalAnimData: Object|null}|null} Undone step and
+     *   the state to restore, or null if no history
+     */
+    undo(animData, originalAnimData) {
+        if (!this.canUndo()) return null;
+        return this.goTo(animData, this.historyStack.length - 1, originalAnimData);
+    }
+
+    /**
+     * Redo the last undone change. Unsaved edits made since the last saved state are discarded.
+     * @param {Object} animData - Current animation data (modified in place)
+     * @param {Object|null} originalAnimData - Current HSL snapshot (modified in place)
+     * @returns {{label: string, hsl: Object, lockedPaths: string[], originalAnimData: Object|null}|null} Redone step and
+     *   the state to restore, or null if no redo available
+     */
+    redo(animData, originalAnimData) {
+        if (!this.canRedo()) return null;
+        return this.goTo(animData, this.historyStack.length + 1, originalAnimData);
+    }
+
+    /**
+     * Undo or redo steps until a given number of steps is applied
+     * @param {Object} animData - Current animation data (modified in place)
+     * @param {number} position - Number of applied steps to end with (0 = starting point)
+     * @param {Object|null} originalAnimData - Current HSL snapshot (modified in place)
+     * @returns {{label: string, hsl: Object, lockedPaths: string[], originalAnimData: Object|null}|null} Last step undone
+     *   or redone and the state to restore (the snapshot is a new object if it had to be recreated), or null if already there
+     */
+    goTo(animData, position, originalAnimData = null) {
+        const target = Math.max(0, Math.min(position, this.historyStack.length + this.redoStack.length));
+        if (target === this.historyStack.length) return null;
+
+        this.revertUnsaved(animData);
+        let original = this.revertUnsavedOriginal(animData, originalAnimData);
+        let step;
+        while (this.historyStack.length > target) {
+            step = this.historyStack.pop();
+            this.applyPatches(animData, step.patches, "before");
+            if (step.original) original = this.applyOriginal(original, animData, step.original, "before");
+            this.hsl = step.hsl.before;
+            if (step.locks) this.locks = step.locks.before;
+            this.redoStack.push(step);
+        }
+        while (this.historyStack.length < target) {
+            step = this.redoStack.pop();
+            this.applyPatches(animData, step.patches, "after");
+            if (step.original) original = this.applyOriginal(original, animData, step.original, "after");
+            this.hsl = step.hsl.after;
+            if (step.locks) this.locks = step.locks.after;
+            this.historyStack.push(step);
+        }
+        this.originals = original ? this.snapshot(original) : null;
+        return { label: step.label, hsl: { ...this.hsl }, lockedPaths: [...this.locks], originalAnimData: original };
+    }
+
+    /**
+     * Get the steps of the current line of history
+     * @returns {{position: number, steps: Array}} Applied steps followed by undone ones, and the number applied
+     */
+    getSteps() {
+        return {
+            position: this.historyStack.length,
+            steps: [...this.historyStack, ...[...this.redoStack].reverse()],
+        };
+    }
+
+    /**
+     * Keep the undone steps as a branch before a new step replaces them
+     */
+    archiveFuture() {
+        const at = this.historyStack.length;
+        // Branches that started inside the undone steps move with them
+        const nested = this.branches
+            .filter(branch => branch.at > at)
+            .map(branch => ({ ...branch, at: branch.at - at }));
+
+        this.branches = this.branches.filter(branch => branch.at <= at);
+        this.branches.push({ id: this.nextBranchId++, at, steps: [...this.redoStack].reverse(), branches: nested });
+        if (this.branches.length > MAX_BRANCHES) {
+            this.branches.shift();
         }
         this.redoStack = [];
     }
 
     /**
-     * Undo the last change
-     * @returns {Object|null} Previous state or null if no history
+     * Switch to a branch: go back to where it started, keep the current undone steps as
+     * another branch, and redo the branch's steps
+     * @param {Object} animData - Current animation data (modified in place)
+     * @param {number} id - Branch id
+     * @param {Object|null} originalAnimData - Current HSL snapshot (modified in place)
+     * @returns {{label: string, hsl: Object, lockedPaths: string[], originalAnimData: Object|null}|null} State to restore,
+     *   or null if the branch is unknown
+     */
+    switchBranch(animData, id, originalAnimData = null) {
+        const branch = this.branches.find(b => b.id === id);
+        if (!branch) return null;
+
+        const start = this.goTo(animData, branch.at, originalAnimData);
+        const original = start ? start.originalAnimData : originalAnimData;
+        this.branches = this.branches.filter(b => b !== branch);
+        if (this.redoStack.length > 0) {
+            this.archiveFuture();
+        }
+        this.redoStack = [...branch.steps].reverse();
+        this.branches.push(...branch.branches.map(b => ({ ...b, at: b.at + branch.at })));
+
+        return this.goTo(animData, branch.at + branch.steps.length, original);
+    }
+
+    /**
+     * Collect the color-bearing properties of the animation
+     * @param {Object} animData - Animation data
+     * @returns {Map<string, string>} Property path → JSON value
+     */
+    snapshot(animData) {
+        const colors = new Map();
+        const visit = (obj, path) => {
+            const colorKeys = this.getColorKeys(obj, path);
+            colorKeys.forEach(key => colors.set(path ? `${path}.${key}` : key, JSON.stringify(obj[key])));
+
+            for (const key in obj) {
+                if (obj.hasOwnProperty(key) && obj[key] && typeof obj[key] === "object" && !colorKeys.includes(key)) {
+                    visit(obj[key], path ? `${path}.${key}` : key);
+                }
+            }
+        };
+        visit(animData, "");
+        return colors;
+    }
+
+    /**
+     * Get the keys of an object that hold colors the editor can change
+     * (same structures as ColorExtractor.recursiveExtract, plus fill/stroke opacity and gradient geometry)
+     * @param {Object} obj - Object in the animation tree
+     * @param {string} path - Path of the object
+     * @returns {Array<string>} Keys of whole properties to track
      */
-    undo() {
-        if (this.historyStack.length <= 1) return null;
+    getColorKeys(obj, path) {
+        const keys = [];
+        if (obj.c && obj.c.k) keys.push("c");
+        if (obj.g) keys.push("g");
+        if (STYLE_TYPES.includes(obj.ty) && obj.o) keys.push("o");
+        if (GRADIENT_TYPES.includes(obj.ty)) keys.push("t", "s", "e");
 
-        this.redoStack.push(this.historyStack.pop());
-        return JSON.parse(JSON.stringify(this.historyStack[this.historyStack.length - 1]));
+        if (obj.ty === 1 && typeof obj.sc === "string") {
+            keys.push("sc");
+        } else if (isTextDocument(obj) || isTextAnimatorPath(path)) {
+            keys.push("fc", "sc");
+        } else if (obj.sc && obj.sc.k) {
+            keys.push("sc");
+        }
+        return keys.filter(key => obj[key] !== undefined);
     }
 
     /**
-     * Redo the last undone change
-     * @param {Object} currentAnimData - Current animation data
-     * @returns {Object|null} Redo state or null if no redo available
+     * Compare two snapshots
+     * @param {Map<string, string>} before - Earlier snapshot
+     * @param {Map<string, string>} after - Later snapshot
+     * @returns {Array<{path: string, before: string|undefined, after: string|undefined}>} Changed properties (JSON values)
      */
-    redo(currentAnimData) {
-        if (this.redoStack.length === 0) return null;
+    diff(before, after) {
+        const patches = [];
+        before.forEach((value, path) => {
+            if (after.get(path) !== value) patches.push({ path, before: value, after: after.get(path) });
+        });
+        after.forEach((value, path) => {
+            if (!before.has(path)) patches.push({ path, before: undefined, after: value });
+        });
+        return patches;
+    }
 
-        const redoState = this.redoStack.pop();
-        this.historyStack.push(JSON.parse(JSON.stringify(currentAnimData)));
-        return redoState;
+    /**
+     * Write one side of a step's patches into the animation data
+     * @param {Object} animData - Animation data to modify in place
+     * @param {Array} patches - Patches from diff()
+     * @param {string} side - "before" (undo) or "after" (redo)
+     */
+    applyPatches(animData, patches, side) {
+        patches.forEach(patch => {
+            if (!this.writePatch(animData, patch, side)) return;
+
+            if (patch[side] === undefined) {
+                this.colors.delete(patch.path);
+            } else {
+                this.colors.set(patch.path, patch[side]);
+            }
+        });
+    }
+
+    /**
+     * Write one side of a patch into an object
+     * @param {Object} data - Animation data or HSL snapshot to modify in place
+     * @param {Object} patch - Patch from diff()
+     * @param {string} side - "before" or "after"
+     * @returns {boolean} False if the property's parent doesn't exist
+     */
+    writePatch(data, patch, side) {
+        const keys = patch.path.split(".");
+        const key = keys.pop();
+        const parent = keys.reduce((obj, k) => (obj && typeof obj === "object" ? obj[k] : undefined), data);
+        if (!parent || typeof parent !== "object") return false;
+
+        if (patch[side] === undefined) {
+            delete parent[key];
+        } else {
+            parent[key] = JSON.parse(patch[side]);
+        }
+        return true;
+    }
+
+    /**
+     * Compare two snapshots of the HSL snapshot (null when there was none)
+     * @param {Map<string, string>|null} before - Earlier snapshot
+     * @param {Map<string, string>|null} after - Later snapshot
+     * @returns {{before: boolean, after: boolean, patches: Array}|null} Whether the HSL snapshot existed on each side and
+     *   its changed properties, or null if nothing changed
+     */
+    diffOriginals(before, after) {
+        const patches = this.diff(before || new Map(), after || new Map());
+        if (patches.length === 0 && !before === !after) return null;
+        return { before: !!before, after: !!after, patches };
+    }
+
+    /**
+     * Bring the HSL snapshot to one side of a step
+     * @param {Object|null} original - HSL snapshot (modified in place)
+     * @param {Object} animData - Animation data, already on that side
+     * @param {Object} change - Change from diffOriginals()
+     * @param {string} side - "before" (undo) or "after" (redo)
+     * @returns {Object|null} HSL snapshot on that side. A snapshot that was dropped is rebuilt from a copy of the
+     *   animation data (only colors differ between the two) with its recorded colors.
+     */
+    applyOriginal(original, animData, change, side) {
+        if (!change[side]) return null;
+
+        const target = original || JSON.parse(JSON.stringify(animData));
+        change.patches.forEach(patch => this.writePatch(target, patch, side));
+        return target;
+    }
+
+    /**
+     * Put back the colors of the last saved state
+     * @param {Object} animData - Animation data to modify in place
+     */
+    revertUnsaved(animData) {
+        const unsaved = this.diff(this.colors, this.snapshot(animData));
+        this.applyPatches(animData, unsaved, "before");
+    }
+
+    /**
+     * Put back the HSL snapshot of the last saved state
+     * @param {Object} animData - Animation data, already reverted
+     * @param {Object|null} original - Current HSL snapshot (modified in place)
+     * @returns {Object|null} HSL snapshot of the last saved state
+     */
+    revertUnsavedOriginal(animData, original) {
+        const unsaved = this.diffOriginals(this.originals, original ? this.snapshot(original) : null);
+        return unsaved ? this.applyOriginal(original, animData, unsaved, "before") : original;
+    }
+
+    /**
+     * Get the history as plain data (for saving the session)
+     * @returns {Object} History
+     */
+    serialize() {
+        return {
+            historyStack: this.historyStack,
+            redoStack: this.redoStack,
+            branches: this.branches,
+            nextBranchId: this.nextBranchId,
+            colors: this.colors ? [...this.colors] : null,
+            hsl: this.hsl,
+            locks: this.locks,
+            originals: this.originals ? [...this.originals] : null,
+        };
+    }
+
+    /**
+     * Restore a history saved with serialize()
+     * @param {Object} data - Saved history
+     */
+    restore(data) {
+        const historyStack = data.historyStack || [];
+        const dropped = Math.max(0, historyStack.length - this.MAX_HISTORY);
+        this.historyStack = historyStack.slice(dropped);
+        this.redoStack = data.redoStack || [];
+        this.branches = (data.branches || [])
+            .filter(branch => branch.at >= dropped)
+            .map(branch => ({ ...branch, at: branch.at - dropped }));
+        this.nextBranchId = data.nextBranchId || 1;
+        this.colors = data.colors ? new Map(data.colors) : null;
+        this.hsl = data.hsl || null;
+        this.locks = data.locks || [];
+        this.originals = data.originals ? new Map(data.originals) : null;
     }
 
     /**
@@ -62,6 +390,11 @@ export class HistoryManager {
     clear() {
         this.historyStack = [];
         this.redoStack = [];
+        this.branches = [];
+        this.colors = null;
+        this.hsl = null;
+        this.locks = [];
+        this.originals = null;
     }
 
     /**
@@ -69,7 +402,7 @@ export class HistoryManager {
      * @returns {boolean}
      */
     canUndo() {
-        return this.historyStack.length > 1;
+        return this.historyStack.length > 0;
     }
 
     /**
@@ -0,0 +1,145 @@
+/**
+ * Renders the Undo/Redo history as a list of labeled steps with thumbnails.
+ * Clicking a step jumps to it; branches (steps undone and then replaced by a new edit)
+ * are listed under the step they started from.
+ */
+export class HistoryPanel {
+    constructor(containerElement, onJump, onSwitchBranch) {
+        this.container = containerElement;
+        this.onJump = onJump; // Called with the number of steps to have applied
+        this.onSwitchBranch = onSwitchBranch; // Called with a branch id
+    }
+
+    /**
+     * Render the history of a file
+     * @param {HistoryManager} historyManager - History to show
+     */
+    render(historyManager) {
+        const { position, steps } = historyManager.getSteps();
+        this.container.innerHTML = "";
+
+        const list = document.createElement("ol");
+        list.className = "history-list";
+        list.appendChild(this.createStepRow({ label: "Opened file" }, 0, position));
+        this.appendBranches(list, historyManager.branches, 0);
+
+        steps.forEach((step, i) => {
+            list.appendChild(this.createStepRow(step, i + 1, position));
+            this.appendBranches(list, historyManager.branches, i + 1);
+        });
+        this.container.appendChild(list);
+
+        const current = list.querySelector(".history-step.current");
+        if (current) current.scrollIntoView({ block: "nearest" });
+    }
+
+    /**
+     * Clear the panel (no file loaded)
+     */
+    clear() {
+        this.container.innerHTML = '<p class="history-empty">Edits will be listed here.</p>';
+    }
+
+    /**
+     * Create the row of a step
+     * @param {Object} step - History step (or the starting point)
+     * @param {number} stepPosition - Number of applied steps once this one is applied
+     * @param {number} position - Number of steps applied now
+     * @returns {HTMLElement} Row
+     */
+    createStepRow(step, stepPosition, position) {
+        const row = document.createElement("li");
+        row.className = "history-step";
+        row.classList.toggle("current", stepPosition === position);
+        row.classList.toggle("undone", stepPosition > position);
+        if (step.time) row.title = new Date(step.time).toLocaleTimeString();
+
+        row.appendChild(this.createThumbnail(step.thumbnail));
+        const label = document.createElement("span");
+        label.className = "history-label";
+        label.textContent = step.label;
+        row.appendChild(label);
+
+        row.onclick = () => this.onJump(stepPosition);
+        return row;
+    }
+
+    /**
+     * Add the rows of the branches that start at a position
+     * @param {HTMLElement} list - History list
+     * @param {Array} branches - Branches of the history
+     * @param {number} at - Position the branches start from
+     */
+    appendBranches(list, branches, at) {
+        branches.filter(branch => branch.at === at).forEach(branch => {
+            const last = branch.steps[branch.steps.length - 1];
+            const row = document.createElement("li");
+            row.className = "history-branch";
+            row.title = "Switch to this branch";
+
+            row.appendChild(this.createThumbnail(last.thumbnail));
+            const label = document.createElement("span");
+            label.className = "history-label";
+            const count = branch.steps.length === 1 ? "1 step" : `${branch.steps.length} steps`;
+            label.textContent = `↳ Branch (${count}): ${last.label}`;
+            row.appendChild(label);
+
+            row.onclick = () => this.onSwitchBranch(branch.id);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Create a thumbnail image, or an empty placeholder
+     * @param {string|undefined} src - Thumbnail data URI
+     * @returns {HTMLElement} Thumbnail element
+     */
+    createThumbnail(src) {
+        const thumbnail = document.createElement(src ? "img" : "span");
+        thumbnail.className = "history-thumb";
+        if (src) {
+            thumbnail.src = src;
+            thumbnail.alt = "";
+        }
+        return thumbnail;
+    }
+
+    /**
+     * Rasterize the frame shown by an SVG preview into a small thumbnail
+     * @param {SVGElement} svgElement - Preview rendered by lottie-web's SVG renderer
+     * @param {number} size - Thumbnail width and height in pixels
+     * @returns {Promise<string|null>} PNG data URI, or null if the frame could not be drawn
+     */
+    captureThumbnail(svgElement, size = 48) {
+        // Clone the SVG to avoid modifying the live one
+        const svgClone = svgElement.cloneNode(true);
+        svgClone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+        svgClone.setAttribute("width", size);
+        svgClone.setAttribute("height", size);
+
+        const blob = new Blob([svgClone.outerHTML], { type: "image/svg+xml;charset=utf-8" });
+        const url = URL.createObjectURL(blob);
+
+        return new Promise((resolve) => {
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                const canvas = document.createElement("canvas");
+                canvas.width = size;
+                canvas.height = size;
+                canvas.getContext("2d").drawImage(image, 0, 0, size, size);
+                try {
+                    resolve(canvas.toDataURL("image/png"));
+                } catch (error) {
+                    // Some browsers taint canvases that drew SVG images
+                    resolve(null);
+                }
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve(null);
+            };
+            image.src = url;
+        });
+    }
+}
@@ -1,4 +1,5 @@
-import { rgbToHsl, hslToRgb } from "../utils/colorUtils.js";
+import { rgbToHsl, hslToRgb, hexToRgb, rgbToHex, normalizeHex } from "../utils/colorUtils.js";
+import { isTextDocument, isTextAnimatorPath } from "../utils/lottieUtils.js";
 
 /**
  * Manages global HSL (Hue, Saturation, Lightness) adjustments for all colors in the animation.
@@ -98,6 +99,111 @@ export class HslAdjustManager {
         }
     }
 
+    /**
+     * Get an object of the pre-shift snapshot, to repeat a structural edit on it (keyframes or
+     * gradient stops added, moved or removed, gradient type or points changed). Adjustments
+     * are rebuilt from the snapshot, so an edit made only on the current data would be undone
+     * by the next shift.
+     * @param {string} path - Path of the edited property (the same in the current data and the snapshot)
+     * @returns {Object|null} Object at that path in the snapshot, or null if there is no snapshot or no such object
+     */
+    getOriginalAt(path) {
+        if (!this.originalAnimData) return null;
+
+        const target = path.split(".").reduce((obj, key) => (obj && typeof obj === "object" ? obj[key] : undefined), this.originalAnimData);
+        return target && typeof target === "object" ? target : null;
+    }
+
+    /**
+     * Replace the lock of a static color with locks of each of its keyframes,
+     * once it is turned into an animated color.
+     * @param {string} path - Path of the color property (e.g. "layers.0.shapes.2.c")
+     * @param {number} keyframeCount - Number of keyframes the color now has
+     */
+    spreadLock(path, keyframeCount) {
+        if (!this.lockedPaths.delete(path)) return;
+        for (let i = 0; i < keyframeCount; i++) {
+            this.lockedPaths.add(`${path}.k.${i}`);
+        }
+    }
+
+    /**
+     * Replace the locks of an animated color's keyframes (e.g. "layers.0.shapes.2.c.k.1")
+     * with a lock of the color itself, once its keyframes are flattened into a static color.
+     * @param {string} path - Path of the color property (e.g. "layers.0.shapes.2.c")
+     */
+    flattenLocks(path) {
+        const keyframeLocks = [...this.lockedPaths].filter(p => p.startsWith(`${path}.k.`));
+        keyframeLocks.forEach(p => this.lockedPaths.delete(p));
+        if (keyframeLocks.length > 0) {
+            this.lockedPaths.add(path);
+        }
+    }
+
+    /**
+     * Move the locks of an animated color's keyframes after keyframes were added, removed or retimed
+     * @param {string} path - Path of the color property (e.g. "layers.0.shapes.2.c")
+     * @param {Function} mapIndex - Old keyframe index → new keyframe index, or null if the keyframe was removed
+     */
+    remapKeyframeLocks(path, mapIndex) {
+        const prefix = `${path}.k.`;
+        const keyframeLocks = [...this.lockedPaths]
+            .filter(p => p.startsWith(prefix) && /^\d+$/.test(p.slice(prefix.length)));
+
+        keyframeLocks.forEach(p => this.lockedPaths.delete(p));
+        keyframeLocks.forEach(p => {
+            const index = mapIndex(Number(p.slice(prefix.length)));
+            if (index !== null) {
+                this.lockedPaths.add(`${prefix}${index}`);
+            }
+        });
+    }
+
+    /**
+     * Move the locks of gradient stops after stops were added, removed or reordered.
+     * Stop locks are paths of a stop's offset in a data array (e.g. "layers.0.shapes.2.g.k.4").
+     * @param {string} path - Path of the gradient property, or of one of its data arrays
+     * @param {Function} mapStop - Old stop index → new stop index, or null if the stop was removed
+     */
+    remapStopLocks(path, mapStop) {
+        const stopLocks = [...this.lockedPaths]
+            .filter(p => p.startsWith(`${path}.`))
+            .map(p => p.match(/^(.*)\.(\d+)$/))
+            .filter(match => match && Number(match[2]) % 4 === 0);
+
+        stopLocks.forEach(match => this.lockedPaths.delete(match[0]));
+        stopLocks.forEach(([, arrayPath, offsetIndex]) => {
+            const stop = mapStop(Number(offsetIndex) / 4);
+            if (stop !== null) {
+                this.lockedPaths.add(`${arrayPath}.${stop * 4}`);
+            }
+        });
+    }
+
+    /**
+     * Get the shifts, locks and pre-shift snapshot as plain data (for saving the session)
+     * @returns {Object} HSL state
+     */
+    serialize() {
+        return {
+            originalAnimData: this.originalAnimData,
+            hue: this.hueShift,
+            saturation: this.saturationShift,
+            lightness: this.lightnessShift,
+            lockedPaths: [...this.lockedPaths],
+        };
+    }
+
+    /**
+     * Restore a state saved with serialize()
+     * @param {Object} data - Saved HSL state
+     */
+    restore(data) {
+        this.originalAnimData = data.originalAnimData || null;
+        this.setAdjustments(data.hue || 0, data.saturation || 0, data.lightness || 0);
+        this.lockedPaths = new Set(data.lockedPaths || []);
+    }
+
     /**
      * Clear all locks (call when loading a new file).
      */
@@ -123,6 +229,10 @@ export class HslAdjustManager {
         // that change is preserved and treated as the truth when calculating HSL.
         this.syncLockedColors(animData);
 
+        // Alpha and shape opacity are never touched by HSL shifts, so the current
+        // values are always the truth and must survive the rebuild below.
+        this.syncAlphaAndOpacity(animData, this.originalAnimData);
+
         this.hueShift = hue;
         this.saturationShift = saturation;
         this.lightnessShift = lightness;
@@ -180,15 +290,82 @@ export class HslAdjustManager {
             } else if (typeof currentValue === 'object') {
                 // Solid color property or Keyframe object
                 originalParent[lastKey] = JSON.parse(JSON.stringify(currentValue));
+            } else if (typeof currentValue === 'string') {
+                // Solid layer hex color
+                originalParent[lastKey] = currentValue;
             }
         });
     }
 
+    /**
+     * Recursively copies color alpha components, gradient opacity stops and
+     * fill/stroke opacity ("o") from the current data to the stored original data.
+     * @param {Object} current - Current animation data (or subtree)
+     * @param {Object} original - Stored original data (or matching subtree)
+     */
+    syncAlphaAndOpacity(current, original) {
+        if (!current || typeof current !== "object" || !original || typeof original !== "object") return;
+
+        const copyAlpha = (src, dst) => {
+            if (Array.isArray(src) && Array.isArray(dst) && src.length > 3 && typeof src[3] === "number") {
+                dst[3] = src[3];
+            }
+        };
+
+        ["c", "sc"].forEach(key => {
+            const src = current[key];
+            const dst = original[key];
+            if (!src || !dst || !Array.isArray(src.k) || !Array.isArray(dst.k)) return;
+
+            if (src.a === 1) {
+                src.k.forEach((keyframe, i) => {
+                    if (keyframe && dst.k[i]) copyAlpha(keyframe.s, dst.k[i].s);
+                });
+            } else {
+                copyAlpha(src.k, dst.k);
+            }
+        });
+
+        if (current.g && original.g && current.g.k && original.g.k) {
+            // Opacity stops follow the p * 4 color stop entries
+            const start = (current.g.p || 0) * 4;
+            const copyOpacityStops = (src, dst) => {
+                if (!Array.isArray(src) || !Array.isArray(dst) || start === 0) return;
+                for (let i = start; i < src.length; i++) {
+                    dst[i] = src[i];
+                }
+                dst.length = Math.max(src.length, start);
+            };
+
+            if (current.g.k.a === 1 && Array.isArray(current.g.k.k) && Array.isArray(original.g.k.k)) {
+                current.g.k.k.forEach((keyframe, i) => {
+                    if (keyframe && original.g.k.k[i]) copyOpacityStops(keyframe.s, original.g.k.k[i].s);
+                });
+            } else if (Array.isArray(current.g.k)) {
+                copyOpacityStops(current.g.k, original.g.k);
+            } else if (Array.isArray(current.g.k.k)) {
+                copyOpacityStops(current.g.k.k, original.g.k.k);
+            }
+        }
+
+        if (["fl", "st", "gf", "gs"].includes(current.ty) && current.o && original.o) {
+            original.o = JSON.parse(JSON.stringify(current.o));
+        }
+
+        for (const key in current) {
+            if (current.hasOwnProperty(key) && typeof current[key] === "object") {
+                this.syncAlphaAndOpacity(current[key], original[key]);
+            }
+        }
+    }
+
     /**
      * Recursively adjust colors throughout the Lottie animation tree.
      * * Lottie color structure examples:
      * - c/sc: Solid fill/stroke colors (k = color array)
      * - g: Gradients (k = gradient data or k.k for animated)
+     * - fc/sc: Text document colors (plain arrays) and text animator ranges (k = color array)
+     * - sc on solid layers (ty 1): Hex color string
      * * @param {Object} obj - Object to process
      * @param {string} path - Current path in the object tree
      */
@@ -199,7 +376,24 @@ export class HslAdjustManager {
             this.adjustColorProperty(obj.c, path ? `${path}.c` : "c");
         }
 
-        if (obj.sc && obj.sc.k) {
+        if (obj.ty === 1 && typeof obj.sc === "string") {
+            const scPath = path ? `${path}.sc` : "sc";
+            if (!this.isPathLocked(scPath)) {
+                this.adjustHexColor(obj, "sc");
+            }
+        } else if (isTextDocument(obj)) {
+            ["fc", "sc"].forEach(key => {
+                if (Array.isArray(obj[key]) && obj[key].length >= 3 && !this.isPathLocked(`${path}.${key}`)) {
+                    this.adjustRgbaArray(obj[key]);
+                }
+            });
+        } else if (isTextAnimatorPath(path)) {
+            ["fc", "sc"].forEach(key => {
+                if (obj[key] && obj[key].k) {
+                    this.adjustColorProperty(obj[key], `${path}.${key}`);
+                }
+            });
+        } else if (obj.sc && obj.sc.k) {
             this.adjustColorProperty(obj.sc, path ? `${path}.sc` : "sc");
         }
 
@@ -242,6 +436,21 @@ export class HslAdjustManager {
         }
     }
 
+    /**
+     * Adjust a hex color string stored on an object (e.g. a solid layer's "sc").
+     * @param {Object} obj - Object holding the color
+     * @param {string} key - Property holding the hex string
+     */
+    adjustHexColor(obj, key) {
+        const hex = normalizeHex(obj[key]);
+        if (!hex) return;
+
+        const { r, g, b } = hexToRgb(hex);
+        const arr = [r / 255, g / 255, b / 255];
+        this.adjustRgbaArray(arr);
+        obj[key] = rgbToHex(arr[0] * 255, arr[1] * 255, arr[2] * 255);
+    }
+
     /**
      * Adjust an RGBA array (values 0-1) by applying HSL shifts.
      * @param {number[]} arr - RGBA array [r, g, b, a?] with values 0-1
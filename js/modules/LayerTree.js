@@ -0,0 +1,246 @@
+/**
+ * Builds and renders a collapsible tree of layers, precomps and shape groups,
+ * used to scope the color list to part of the animation
+ */
+export class LayerTree {
+    constructor(containerElement, onSelect) {
+        this.container = containerElement;
+        this.onSelect = onSelect;
+        this.root = null;
+        this.selectedNode = null;
+        this.expandedPaths = new Set();
+    }
+
+    /**
+     * Build the tree for the given animation data and render it
+     * @param {Object} animData - Animation data
+     */
+    render(animData) {
+        this.root = this.buildTree(animData);
+        this.selectedNode = this.root;
+        this.expandedPaths = new Set([this.root.path]);
+        this.renderTree();
+    }
+
+    /**
+     * Clear the tree (no file loaded)
+     */
+    clear() {
+        this.root = null;
+        this.selectedNode = null;
+        this.container.innerHTML = "";
+    }
+
+    /**
+     * Build the layer tree from animation data
+     * @param {Object} animData - Animation data
+     * @returns {Object} Root node ({ name, type, path, children })
+     */
+    buildTree(animData) {
+        const assets = {};
+        (animData.assets || []).forEach((asset, i) => {
+            if (asset && Array.isArray(asset.layers)) {
+                assets[asset.id] = { asset, path: `assets.${i}` };
+            }
+        });
+
+        const root = {
+            name: animData.nm || "All layers",
+            type: "composition",
+            path: "",
+            children: [],
+        };
+        root.children = this.buildLayerNodes(animData.layers, "layers", assets, new Set());
+        return root;
+    }
+
+    /**
+     * Build nodes for a list of layers
+     * @param {Array} layers - Layers array
+     * @param {string} path - Path to the layers array
+     * @param {Object} assets - Precomp assets by id
+     * @param {Set} visiting - Asset ids on the current branch (guards against cyclic precomps)
+     * @returns {Array} Layer nodes
+     */
+    buildLayerNodes(layers, path, assets, visiting) {
+        if (!Array.isArray(layers)) return [];
+
+        return layers.map((layer, i) => {
+            const layerPath = `${path}.${i}`;
+            const node = {
+                name: layer.nm || `Layer ${layer.ind !== undefined ? layer.ind : i + 1}`,
+                type: this.getLayerTypeName(layer.ty),
+                path: layerPath,
+                children: [],
+            };
+
+            if (layer.ty === 0 && assets[layer.refId] && !visiting.has(layer.refId)) {
+                // Precomp layer: its colors live in the referenced asset
+                const { asset, path: assetPath } = assets[layer.refId];
+                node.assetPath = assetPath;
+                visiting.add(layer.refId);
+                node.children = this.buildLayerNodes(asset.layers, `${assetPath}.layers`, assets, visiting);
+                visiting.delete(layer.refId);
+            } else if (Array.isArray(layer.shapes)) {
+                node.children = this.buildGroupNodes(layer.shapes, `${layerPath}.shapes`);
+            }
+
+            return node;
+        });
+    }
+
+    /**
+     * Build nodes for shape groups ("gr") in a list of shape items
+     * @param {Array} items - Shape items
+     * @param {string} path - Path to the items array
+     * @returns {Array} Group nodes
+     */
+    buildGroupNodes(items, path) {
+        const nodes = [];
+        items.forEach((item, i) => {
+            if (!item || item.ty !== "gr") return;
+            const groupPath = `${path}.${i}`;
+            nodes.push({
+                name: item.nm || `Group ${i + 1}`,
+                type: "group",
+                path: groupPath,
+                children: Array.isArray(item.it) ? this.buildGroupNodes(item.it, `${groupPath}.it`) : [],
+            });
+        });
+        return nodes;
+    }
+
+    /**
+     * Get a readable name for a layer type
+     * @param {number} ty - Layer type
+     * @returns {string} Type name
+     */
+    getLayerTypeName(ty) {
+        const names = { 0: "precomp", 1: "solid", 2: "image", 3: "null", 4: "shape", 5: "text" };
+        return names[ty] || "layer";
+    }
+
+    /**
+     * Collect the path prefixes covered by a node and its descendants
+     * @param {Object} node - Tree node
+     * @param {Array} prefixes - Accumulator
+     * @returns {string[]} Path prefixes
+     */
+    collectScopePaths(node, prefixes = []) {
+        prefixes.push(node.path);
+        if (node.assetPath) prefixes.push(node.assetPath);
+        node.children.forEach(child => this.collectScopePaths(child, prefixes));
+        return prefixes;
+    }
+
+    /**
+     * Check whether a layer subtree (other than the whole composition) is selected
+     * @returns {boolean}
+     */
+    hasScope() {
+        return !!this.selectedNode && this.selectedNode !== this.root;
+    }
+
+    /**
+     * Check whether a color path lies inside the selected subtree
+     * @param {string} path - Color instance path
+     * @returns {boolean}
+     */
+    containsPath(path) {
+        if (!this.hasScope()) return true;
+        if (!this.scopePaths || this.scopeNode !== this.selectedNode) {
+            this.scopeNode = this.selectedNode;
+            this.scopePaths = this.collectScopePaths(this.selectedNode);
+        }
+        return this.scopePaths.some(prefix => path === prefix || path.startsWith(`${prefix}.`));
+    }
+
+    /**
+     * Select the whole composition without notifying the listener
+     */
+    selectRoot() {
+        if (!this.root) return;
+        this.selectedNode = this.root;
+        this.renderTree();
+    }
+
+    /**
+     * Select a node and notify the listener
+     * @param {Object} node - Tree node
+     */
+    select(node) {
+        this.selectedNode = node;
+        this.renderTree();
+        this.onSelect(node);
+    }
+
+    /**
+     * Render the tree into the container
+     */
+    renderTree() {
+        this.container.innerHTML = "";
+        if (!this.root) return;
+
+        const list = document.createElement("ul");
+        list.className = "layer-tree-list";
+        list.appendChild(this.renderNode(this.root));
+        this.container.appendChild(list);
+    }
+
+    /**
+     * Render a single node and its (expanded) children
+     * @param {Object} node - Tree node
+     * @returns {HTMLElement} List item
+     */
+    renderNode(node) {
+        const item = document.createElement("li");
+        item.className = "layer-tree-node";
+
+        const row = document.createElement("div");
+        row.className = "layer-tree-row";
+        if (node === this.selectedNode) {
+            row.classList.add("selected");
+        }
+
+        const isExpanded = this.expandedPaths.has(node.path);
+        const toggle = document.createElement("button");
+        toggle.className = "layer-tree-toggle";
+        if (node.children.length > 0) {
+            toggle.textContent = isExpanded ? "▾" : "▸";
+            toggle.onclick = (e) => {
+                e.stopPropagation();
+                if (isExpanded) {
+                    this.expandedPaths.delete(node.path);
+                } else {
+                    this.expandedPaths.add(node.path);
+                }
+                this.renderTree();
+            };
+        } else {
+            toggle.disabled = true;
+        }
+
+        const name = document.createElement("span");
+        name.className = "layer-tree-name";
+        name.textContent = node.name;
+
+        const type = document.createElement("span");
+        type.className = "layer-tree-type";
+        type.textContent = node.type;
+
+        row.onclick = () => this.select(node);
+        row.appendChild(toggle);
+        row.appendChild(name);
+        row.appendChild(type);
+        item.appendChild(row);
+
+        if (isExpanded && node.children.length > 0) {
+            const childList = document.createElement("ul");
+            childList.className = "layer-tree-list";
+            node.children.forEach(child => childList.appendChild(this.renderNode(child)));
+            item.appendChild(childList);
+        }
+
+        return item;
+    }
+}
@@ -0,0 +1,171 @@
+// Keys that only matter to After Effects / Bodymovin and are never read by the players
+const METADATA_KEYS = ["mn", "cix", "np"];
+// Frame numbers, frame rates and stretch are never rounded: 29.97 fps is not 30 fps
+const TIMING_KEYS = ["fr", "ip", "op", "st", "sr", "t"];
+// Colors, gradient stops and easing handles are 0-1 values; fewer decimals visibly band colors and bend easing
+const MIN_COLOR_PRECISION = 3;
+
+/**
+ * Shrinks Lottie files: rounds numbers, removes unused assets and hidden layers,
+ * and drops editor-only metadata
+ */
+export class LottieOptimizer {
+    /**
+     * @param {Object} codec - Gzip codec with gzip(string) => Uint8Array (defaults to the global pako)
+     */
+    constructor(codec = globalThis.pako) {
+        this.codec = codec;
+    }
+
+    /**
+     * Optimize a copy of the animation data
+     * @param {Object} animData - Animation data
+     * @param {Object} options - { precision (decimal places, null to skip rounding), removeUnusedAssets,
+     *   removeHiddenLayers, removeMetadata }
+     * @returns {Object} Optimized animation data
+     */
+    optimize(animData, { precision = 3, removeUnusedAssets = true, removeHiddenLayers = true, removeMetadata = true } = {}) {
+        const data = JSON.parse(JSON.stringify(animData));
+
+        // Hidden layers go first so the assets only they referenced become unused
+        if (removeHiddenLayers) this.removeHiddenLayers(data);
+        if (removeUnusedAssets) this.removeUnusedAssets(data);
+        if (removeMetadata) this.removeMetadata(data);
+        if (precision !== null && precision !== undefined) this.roundNumbers(data, precision);
+
+        return data;
+    }
+
+    /**
+     * Get the size of animation data as JSON and as gzipped TGS
+     * @param {Object} animData - Animation data
+     * @returns {{json: number, gzip: number}} Sizes in bytes
+     */
+    getSizes(animData) {
+        const json = JSON.stringify(animData);
+        return {
+            json: new TextEncoder().encode(json).length,
+            gzip: this.codec.gzip(json).length,
+        };
+    }
+
+    /**
+     * Round numbers to a number of decimal places. Timing values are left as they are, and
+     * colors and easing keep at least MIN_COLOR_PRECISION decimals.
+     * @param {Object} obj - Object to modify in place
+     * @param {number} precision - Decimal places
+     */
+    roundNumbers(obj, precision) {
+        const factor = 10 ** precision;
+        Object.keys(obj).forEach(key => {
+            const value = obj[key];
+            if (typeof value === "number") {
+                if (Array.isArray(obj) || !TIMING_KEYS.includes(key)) {
+                    obj[key] = Math.round(value * factor) / factor;
+                }
+            } else if (value && typeof value === "object") {
+                const isColor = !Array.isArray(obj) && ["c", "sc", "fc", "g"].includes(key);
+                // Keyframe easing ({ x, y }), not the i/o tangents of path vertices (arrays)
+                const isEasing = (key === "i" || key === "o") && !Array.isArray(value) && "x" in value;
+                this.roundNumbers(value, isColor || isEasing ? Math.max(precision, MIN_COLOR_PRECISION) : precision);
+            }
+        });
+    }
+
+    /**
+     * Remove hidden layers and hidden shapes. Hidden layers that other layers use as
+     * parent or track matte still affect the output and are kept.
+     * @param {Object} animData - Animation data to modify in place
+     */
+    removeHiddenLayers(animData) {
+        const clean = (layers) => {
+            const referenced = new Set();
+            layers.forEach((layer, i) => {
+                if (layer.parent !== undefined) referenced.add(layer.parent);
+                if (layer.tp !== undefined) referenced.add(layer.tp);
+                // Legacy track mattes use the layer right above the matted one
+                if (layer.tt && i > 0) referenced.add(layers[i - 1].ind);
+            });
+
+            const kept = layers.filter(layer => !layer.hd || referenced.has(layer.ind));
+            kept.forEach(layer => {
+                if (layer.shapes) layer.shapes = this.removeHiddenShapes(layer.shapes);
+            });
+            return kept;
+        };
+
+        animData.layers = clean(animData.layers || []);
+        (animData.assets || []).forEach(asset => {
+            if (asset.layers) asset.layers = clean(asset.layers);
+        });
+    }
+
+    /**
+     * Remove hidden shapes, including those inside groups
+     * @param {Array} shapes - Shape list
+     * @returns {Array} Visible shapes
+     */
+    removeHiddenShapes(shapes) {
+        return shapes.filter(shape => !shape.hd).map(shape => {
+            if (shape.ty === "gr" && Array.isArray(shape.it)) {
+                shape.it = this.removeHiddenShapes(shape.it);
+            }
+            return shape;
+        });
+    }
+
+    /**
+     * Remove assets that no rendered layer references (directly or through precomps)
+     * @param {Object} animData - Animation data to modify in place
+     */
+    removeUnusedAssets(animData) {
+        if (!Array.isArray(animData.assets)) return;
+
+        const assets = new Map(animData.assets.map(asset => [asset.id, asset]));
+        const used = new Set();
+        const visit = (layers) => {
+            (layers || []).forEach(layer => {
+                if (layer.refId === undefined || used.has(layer.refId)) return;
+                used.add(layer.refId);
+                const asset = assets.get(layer.refId);
+                if (asset) visit(asset.layers);
+            });
+        };
+        visit(animData.layers);
+
+        animData.assets = animData.assets.filter(asset => used.has(asset.id));
+    }
+
+    /**
+     * Drop the generator info and the keys only After Effects uses. Property indexes
+     * are kept when the file has expressions, since expressions can look them up.
+     * @param {Object} animData - Animation data to modify in place
+     */
+    removeMetadata(animData) {
+        delete animData.meta;
+        const keys = this.hasExpressions(animData) ? METADATA_KEYS : [...METADATA_KEYS, "ix"];
+
+        const strip = (obj) => {
+            if (!obj || typeof obj !== "object") return;
+            if (!Array.isArray(obj)) {
+                keys.forEach(key => delete obj[key]);
+                // hd: false is the default
+                if (obj.hd === false) delete obj.hd;
+            }
+            Object.values(obj).forEach(strip);
+        };
+        strip(animData.layers);
+        strip(animData.assets);
+    }
+
+    /**
+     * Check whether any property of the animation carries an expression
+     * @param {Object} obj - Animation data or any part of it
+     * @returns {boolean} True if an expression was found
+     */
+    hasExpressions(obj) {
+        if (!obj || typeof obj !== "object") return false;
+        if (typeof obj.x === "string" && "k" in obj) return true;
+        return Object.values(obj).some(value => this.hasExpressions(value));
+    }
+}
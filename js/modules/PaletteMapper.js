@@ -0,0 +1,216 @@
+import { rgbToHex, normalizeHex, labToRgb, hexDeltaE } from "../utils/colorUtils.js";
+
+/**
+ * Parses brand palettes (JSON, CSS custom properties, GIMP .gpl, Adobe .ase)
+ * and proposes a nearest-color mapping from animation colors to palette entries
+ */
+export class PaletteMapper {
+    /**
+     * Parse a palette file
+     * @param {string} fileName - File name, used to detect the format
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Array<{name: string, hex: string}>} Palette entries (duplicates removed)
+     */
+    parse(fileName, buffer) {
+        const name = fileName.toLowerCase();
+        let entries;
+
+        if (name.endsWith(".ase")) {
+            entries = this.parseAse(buffer);
+        } else {
+            const text = new TextDecoder().decode(buffer);
+            if (name.endsWith(".gpl")) {
+                entries = this.parseGpl(text);
+            } else if (name.endsWith(".css")) {
+                entries = this.parseCss(text);
+            } else {
+                entries = this.parseJson(text);
+            }
+        }
+
+        const seen = new Set();
+        const palette = entries.filter(entry => {
+            if (!entry.hex || seen.has(entry.hex)) return false;
+            seen.add(entry.hex);
+            return true;
+        });
+
+        if (palette.length === 0) {
+            throw new Error("No colors found in palette file");
+        }
+        return palette;
+    }
+
+    /**
+     * Parse a JSON palette: ["#hex", ...], [{name, hex|color|value}, ...],
+     * { name: "#hex", ... } or any of these under a "colors" / "palette" key
+     * @param {string} text - JSON text
+     * @returns {Array} Palette entries
+     */
+    parseJson(text) {
+        let data = JSON.parse(text);
+        if (data && !Array.isArray(data) && (data.colors || data.palette)) {
+            data = data.colors || data.palette;
+        }
+
+        const toEntry = (value, fallbackName) => {
+            if (typeof value === "string") {
+                return { name: fallbackName, hex: this.parseCssColor(value) };
+            }
+            if (value && typeof value === "object") {
+                const color = value.hex || value.color || value.value;
+                return { name: value.name || fallbackName, hex: this.parseCssColor(String(color || "")) };
+            }
+            return { name: fallbackName, hex: null };
+        };
+
+        if (Array.isArray(data)) {
+            return data.map((value, i) => toEntry(value, `Color ${i + 1}`));
+        }
+        if (data && typeof data === "object") {
+            return Object.entries(data).map(([key, value]) => toEntry(value, key));
+        }
+        return [];
+    }
+
+    /**
+     * Parse CSS custom properties (e.g. "--brand-red: #e11d48;")
+     * @param {string} text - CSS text
+     * @returns {Array} Palette entries
+     */
+    parseCss(text) {
+        const entries = [];
+        const pattern = /--([\w-]+)\s*:\s*(#[0-9a-fA-F]{3,8}\b|rgba?\([^)]*\))/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            entries.push({ name: match[1], hex: this.parseCssColor(match[2]) });
+        }
+        return entries;
+    }
+
+    /**
+     * Parse a GIMP palette ("R G B<tab>Name" lines after the header)
+     * @param {string} text - GPL text
+     * @returns {Array} Palette entries
+     */
+    parseGpl(text) {
+        const entries = [];
+        text.split(/\r?\n/).forEach(line => {
+            const match = line.match(/^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/);
+            if (!match) return;
+            const [r, g, b] = [match[1], match[2], match[3]].map(v => Math.min(255, parseInt(v)));
+            entries.push({ name: match[4].trim() || `Color ${entries.length + 1}`, hex: rgbToHex(r, g, b) });
+        });
+        return entries;
+    }
+
+    /**
+     * Parse an Adobe Swatch Exchange file (RGB, CMYK, LAB and Gray swatches)
+     * @param {ArrayBuffer} buffer - ASE file contents
+     * @returns {Array} Palette entries
+     */
+    parseAse(buffer) {
+        const view = new DataView(buffer);
+        const signature = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+        if (signature !== "ASEF") {
+            throw new Error("Invalid ASE file");
+        }
+
+        const entries = [];
+        const blockCount = view.getUint32(8);
+        let offset = 12;
+
+        for (let i = 0; i < blockCount && offset + 6 <= view.byteLength; i++) {
+            const blockType = view.getUint16(offset);
+            const blockLength = view.getUint32(offset + 2);
+            const blockStart = offset + 6;
+
+            if (blockType === 0x0001) {
+                // Color entry: name (UTF-16BE, null-terminated), model, values, color type
+                const nameLength = view.getUint16(blockStart);
+                let name = "";
+                for (let j = 0; j < nameLength - 1; j++) {
+                    name += String.fromCharCode(view.getUint16(blockStart + 2 + j * 2));
+                }
+
+                let pos = blockStart + 2 + nameLength * 2;
+                const model = String.fromCharCode(
+                    view.getUint8(pos), view.getUint8(pos + 1), view.getUint8(pos + 2), view.getUint8(pos + 3)
+                ).trim();
+                pos += 4;
+                const read = (n) => Array.from({ length: n }, (_, j) => view.getFloat32(pos + j * 4));
+
+                let rgb = null;
+                if (model === "RGB") {
+                    const [r, g, b] = read(3);
+                    rgb = { r: r * 255, g: g * 255, b: b * 255 };
+                } else if (model === "CMYK") {
+                    const [c, m, y, k] = read(4);
+                    rgb = { r: 255 * (1 - c) * (1 - k), g: 255 * (1 - m) * (1 - k), b: 255 * (1 - y) * (1 - k) };
+                } else if (model === "LAB") {
+                    const [l, a, b] = read(3);
+                    rgb = labToRgb(l * 100, a, b);
+                } else if (model === "Gray") {
+                    const [gray] = read(1);
+                    rgb = { r: gray * 255, g: gray * 255, b: gray * 255 };
+                }
+
+                if (rgb) {
+                    entries.push({ name: name || `Color ${entries.length + 1}`, hex: rgbToHex(rgb.r, rgb.g, rgb.b) });
+                }
+            }
+
+            offset = blockStart + blockLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Parse a CSS hex or rgb()/rgba() color to a 6-digit hex (alpha is dropped)
+     * @param {string} value - CSS color
+     * @returns {string|null} Hex color or null if unsupported
+     */
+    parseCssColor(value) {
+        const trimmed = value.trim();
+        const rgbMatch = trimmed.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+        if (rgbMatch) {
+            return rgbToHex(...rgbMatch.slice(1, 4).map(v => Math.min(255, parseInt(v))));
+        }
+        // 8-digit hex: keep only the color bytes
+        const hex = /^#?[0-9a-f]{8}$/i.test(trimmed) ? trimmed.replace("#", "").slice(0, 6) : trimmed;
+        return normalizeHex(hex);
+    }
+
+    /**
+     * Find the perceptually nearest palette entry for a color (CIEDE2000)
+     * @param {string} hex - Color to match
+     * @param {Array} palette - Palette entries
+     * @returns {{entry: Object, distance: number}} Nearest entry and its delta E
+     */
+    findNearest(hex, palette) {
+        let best = null;
+        palette.forEach(entry => {
+            const distance = hexDeltaE(hex, entry.hex);
+            if (!best || distance < best.distance) {
+                best = { entry, distance };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Propose a mapping from each color group to its nearest palette entry
+     * @param {Object} groupedColors - Grouped colors from ColorExtractor.getGroupedColors()
+     * @param {Array} palette - Palette entries
+     * @returns {Array<{group: Object, target: string, distance: number}>} Mapping rows, most used colors first
+     */
+    proposeMapping(groupedColors, palette) {
+        return Object.values(groupedColors)
+            .sort((a, b) => b.count - a.count)
+            .map(group => {
+                const { entry, distance } = this.findNearest(group.hex, palette);
+                return { group, target: entry.hex, distance };
+            });
+    }
+}
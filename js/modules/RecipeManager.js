@@ -0,0 +1,174 @@
+import { ColorExtractor } from "./ColorExtractor.js";
+import { appendAlphaToHex, hexToRgba, rgbToHex, normalizeHex } from "../utils/colorUtils.js";
+import { writeInstanceColor } from "../utils/colorWriter.js";
+
+const RECIPE_TYPE = "lottie-editor-recipe";
+const RECIPE_VERSION = 1;
+
+/**
+ * Normalize a recipe color to a group key: lowercase #rrggbb, or #rrggbbaa when translucent
+ * @param {string} hex - 3, 6 or 8 digit hex color
+ * @returns {string|null} Normalized color or null if invalid
+ */
+function normalizeRecipeHex(hex) {
+    if (typeof hex !== "string") return null;
+    const digits = hex.trim().replace(/^#/, "").toLowerCase();
+    if (/^[0-9a-f]{8}$/.test(digits)) {
+        return digits.endsWith("ff") ? `#${digits.slice(0, 6)}` : `#${digits}`;
+    }
+    return normalizeHex(digits);
+}
+
+/**
+ * Builds color "recipes" (source → target color map, HSL shifts and locked paths)
+ * from an edited file and re-applies them to other files of the same family
+ */
+export class RecipeManager {
+    constructor() {
+        // Separate extractor so the editor's grouped colors are left untouched
+        this.extractor = new ColorExtractor();
+    }
+
+    /**
+     * Build a recipe from the editing state of a file
+     * @param {Object} originalAnimData - Animation data as loaded
+     * @param {Object} baseAnimData - Edited data before HSL shifts (HSL manager snapshot, or current data without shifts)
+     * @param {Object} currentAnimData - Current animation data (locked colors are read from here)
+     * @param {Object} hsl - Current HSL shifts ({ hue, saturation, lightness })
+     * @param {Iterable<string>} lockedPaths - Locked color paths
+     * @returns {Object} Recipe
+     */
+    createRecipe(originalAnimData, baseAnimData, currentAnimData, hsl, lockedPaths) {
+        const locked = new Set(lockedPaths);
+        const byPath = (animData) => new Map(this.extractor.extractColors(animData).map(c => [c.path, c]));
+
+        const baseColors = byPath(baseAnimData);
+        const currentColors = byPath(currentAnimData);
+
+        // Count every source → target pair; a source edited differently in several places keeps its most common target
+        const votes = {};
+        this.extractor.extractColors(originalAnimData).forEach(original => {
+            const edited = locked.has(original.path) ? currentColors.get(original.path) : baseColors.get(original.path);
+            if (!edited) return;
+
+            const source = this.getColorKey(original);
+            const target = this.getColorKey(edited);
+            if (!votes[source]) votes[source] = {};
+            votes[source][target] = (votes[source][target] || 0) + 1;
+        });
+
+        const colorMap = {};
+        Object.entries(votes).forEach(([source, targets]) => {
+            const [target] = Object.entries(targets).sort((a, b) => b[1] - a[1])[0];
+            if (target !== source) {
+                colorMap[source] = target;
+            }
+        });
+
+        return {
+            type: RECIPE_TYPE,
+            version: RECIPE_VERSION,
+            colorMap,
+            hsl: { hue: hsl.hue, saturation: hsl.saturation, lightness: hsl.lightness },
+            lockedPaths: [...locked],
+        };
+    }
+
+    /**
+     * Parse and validate a recipe file
+     * @param {string} text - Recipe JSON
+     * @returns {Object} Recipe
+     */
+    parse(text) {
+        const recipe = JSON.parse(text);
+        if (!recipe || recipe.type !== RECIPE_TYPE) {
+            throw new Error("Not a color recipe file");
+        }
+        if (recipe.version > RECIPE_VERSION) {
+            throw new Error(`Unsupported recipe version ${recipe.version}`);
+        }
+        return this.normalize(recipe);
+    }
+
+    /**
+     * Create a recipe that only remaps colors
+     * @param {Object} colorMap - Source hex → target hex
+     * @returns {Object} Recipe
+     */
+    createFromColorMap(colorMap) {
+        if (!colorMap || typeof colorMap !== "object" || Array.isArray(colorMap)) {
+            throw new Error("Color map must be an object of source → target hex colors");
+        }
+        return this.normalize({ version: RECIPE_VERSION, colorMap });
+    }
+
+    /**
+     * Fill in defaults and normalize the color keys of a recipe
+     * @param {Object} recipe - Raw recipe data
+     * @returns {Object} Recipe
+     */
+    normalize(recipe) {
+        // Keys are matched against group keys; invalid entries are dropped
+        const colorMap = {};
+        Object.entries(recipe.colorMap || {}).forEach(([source, target]) => {
+            const sourceKey = normalizeRecipeHex(source);
+            const targetKey = normalizeRecipeHex(target);
+            if (sourceKey && targetKey) {
+                colorMap[sourceKey] = targetKey;
+            }
+        });
+
+        const hsl = recipe.hsl || {};
+        return {
+            type: RECIPE_TYPE,
+            version: recipe.version,
+            colorMap,
+            hsl: {
+                hue: Number(hsl.hue) || 0,
+                saturation: Number(hsl.saturation) || 0,
+                lightness: Number(hsl.lightness) || 0,
+            },
+            lockedPaths: Array.isArray(recipe.lockedPaths) ? recipe.lockedPaths : [],
+        };
+    }
+
+    /**
+     * Apply a recipe's color map to animation data (HSL shifts and locks are left to the caller)
+     * @param {Object} recipe - Recipe
+     * @param {Object} animData - Animation data to modify in place
+     * @returns {{lockedPaths: string[], unmatchedColors: string[], unmatchedPaths: string[]}}
+     *   Locked paths found in the file, and recipe entries that matched nothing
+     */
+    applyRecipe(recipe, animData) {
+        const colors = this.extractor.extractColors(animData);
+        const matchedColors = new Set();
+
+        colors.forEach(instance => {
+            const source = this.getColorKey(instance);
+            const target = recipe.colorMap[source];
+            if (!target) return;
+
+            const { r, g, b, a } = hexToRgba(target);
+            writeInstanceColor(instance, rgbToHex(r, g, b), a);
+            matchedColors.add(source);
+        });
+
+        const paths = new Set(colors.map(c => c.path));
+        const lockedPaths = recipe.lockedPaths.filter(path => paths.has(path));
+
+        return {
+            lockedPaths,
+            unmatchedColors: Object.keys(recipe.colorMap).filter(source => !matchedColors.has(source)),
+            unmatchedPaths: recipe.lockedPaths.filter(path => !paths.has(path)),
+        };
+    }
+
+    /**
+     * Get the recipe key of a color instance (same as its group key)
+     * @param {Object} instance - Color instance
+     * @returns {string} Lowercase #rrggbb, or #rrggbbaa when translucent
+     */
+    getColorKey(instance) {
+        return appendAlphaToHex(instance.hex, instance.alpha).toLowerCase();
+    }
+}
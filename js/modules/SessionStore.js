@@ -0,0 +1,171 @@
+const DB_NAME = "lottie-editor";
+const DB_VERSION = 2;
+const STORE_NAME = "sessions";
+// Small summaries of the sessions, so listing and pruning don't read whole sessions
+const SUMMARY_STORE_NAME = "summaries";
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+function complete(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Get the summary of a session shown in the session list
+ * @param {Object} session - Session
+ * @returns {{id: string, name: string, updatedAt: number, fileCount: number}} Summary
+ */
+function summarize({ id, name, updatedAt, workspace }) {
+    return { id, name, updatedAt, fileCount: workspace.documents.length };
+}
+
+/**
+ * Persists editing sessions (open files, history, HSL state, settings) in IndexedDB
+ */
+export class SessionStore {
+    /**
+     * @param {number} maxSessions - Number of sessions kept; the oldest are removed on save
+     */
+    constructor(maxSessions = 10) {
+        this.maxSessions = maxSessions;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether the browser supports IndexedDB
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof indexedDB !== "undefined";
+    }
+
+    /**
+     * Open (and create on first use) the session database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: "id" });
+                    }
+                    if (!db.objectStoreNames.contains(SUMMARY_STORE_NAME)) {
+                        db.createObjectStore(SUMMARY_STORE_NAME, { keyPath: "id" }).createIndex("updatedAt", "updatedAt");
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Get an object store
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {string} name - Store name
+     * @returns {Promise<IDBObjectStore>} Object store
+     */
+    async getStore(mode, name = STORE_NAME) {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    /**
+     * Start a transaction over the sessions and their summaries
+     * @param {string} mode - "readonly" or "readwrite"
+     * @returns {Promise<IDBTransaction>} Transaction
+     */
+    async getTransaction(mode) {
+        const db = await this.open();
+        return db.transaction([STORE_NAME, SUMMARY_STORE_NAME], mode);
+    }
+
+    /**
+     * Save a session (replacing the one with the same id) and drop the oldest beyond the limit
+     * @param {Object} session - { id, name, updatedAt, ... }
+     */
+    async save(session) {
+        const transaction = await this.getTransaction("readwrite");
+        const sessions = transaction.objectStore(STORE_NAME);
+        const summaries = transaction.objectStore(SUMMARY_STORE_NAME);
+        sessions.put(session);
+        summaries.put(summarize(session));
+
+        // Walk the summary keys from the most recent and delete what is past the limit
+        let kept = 0;
+        summaries.index("updatedAt").openKeyCursor(null, "prev").onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            kept++;
+            if (kept > this.maxSessions) {
+                sessions.delete(cursor.primaryKey);
+                summaries.delete(cursor.primaryKey);
+            }
+            cursor.continue();
+        };
+        await complete(transaction);
+    }
+
+    /**
+     * List saved sessions, most recent first
+     * @returns {Promise<Array<{id: string, name: string, updatedAt: number, fileCount: number}>>} Session summaries
+     */
+    async list() {
+        const summaries = await promisify((await this.getStore("readonly", SUMMARY_STORE_NAME)).index("updatedAt").getAll());
+        return summaries.reverse();
+    }
+
+    /**
+     * Load a saved session
+     * @param {string} id - Session id
+     * @returns {Promise<Object|undefined>} Session
+     */
+    async load(id) {
+        return promisify((await this.getStore("readonly")).get(id));
+    }
+
+    /**
+     * Delete a saved session
+     * @param {string} id - Session id
+     */
+    async delete(id) {
+        const transaction = await this.getTransaction("readwrite");
+        transaction.objectStore(STORE_NAME).delete(id);
+        transaction.objectStore(SUMMARY_STORE_NAME).delete(id);
+        await complete(transaction);
+    }
+
+    /**
+     * Delete every saved session
+     */
+    async clear() {
+        const transaction = await this.getTransaction("readwrite");
+        transaction.objectStore(STORE_NAME).clear();
+        transaction.objectStore(SUMMARY_STORE_NAME).clear();
+        await complete(transaction);
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Links color instances to the elements lottie-web renders for them in the SVG preview.
+ * Elements are tagged through the Lottie "cl" (class) property, which the SVG renderer
+ * writes to the class attribute of layers and shape style paths.
+ */
+export class ShapeHighlighter {
+    constructor(containerId, onElementClick) {
+        this.containerId = containerId;
+        this.onElementClick = onElementClick;
+        this.elementPaths = []; // Index = number in the "le-el-N" class
+        this.classByPath = new Map();
+
+        this.getContainer().addEventListener("click", (e) => this.handleClick(e));
+    }
+
+    getContainer() {
+        return document.getElementById(this.containerId);
+    }
+
+    /**
+     * Set the element paths (shape or layer paths) that own the extracted colors
+     * @param {Array} colors - Color instances from ColorExtractor
+     */
+    setColors(colors) {
+        this.elementPaths = [...new Set(colors.map(c => c.elementPath).filter(Boolean))];
+        this.classByPath = new Map(this.elementPaths.map((path, i) => [path, `le-el-${i}`]));
+    }
+
+    /**
+     * Add tag classes to the color-owning shapes and layers of (a copy of) the animation data.
+     * Mutates the given object, so pass the copy handed to lottie-web.
+     * @param {Object} animData - Animation data to tag
+     * @returns {Object} The same animation data
+     */
+    tagAnimationData(animData) {
+        this.classByPath.forEach((className, path) => {
+            const target = path.split(".").reduce((obj, key) => (obj ? obj[key] : undefined), animData);
+            if (target && typeof target === "object") {
+                target.cl = target.cl ? `${target.cl} ${className}` : className;
+            }
+        });
+        return animData;
+    }
+
+    /**
+     * Outline the elements of the given color instances and dim the rest of the preview
+     * @param {Array} instances - Color instances to highlight
+     */
+    highlight(instances) {
+        this.clearHighlight();
+
+        const container = this.getContainer();
+        const classNames = [...new Set(instances.map(c => this.classByPath.get(c.elementPath)).filter(Boolean))];
+        if (classNames.length === 0) return;
+
+        const elements = container.querySelectorAll(classNames.map(name => `.${name}`).join(", "));
+        if (elements.length === 0) return;
+
+        container.classList.add("le-highlighting");
+        elements.forEach(el => el.classList.add("le-highlighted"));
+    }
+
+    /**
+     * Remove any highlight from the preview
+     */
+    clearHighlight() {
+        const container = this.getContainer();
+        container.classList.remove("le-highlighting");
+        container.querySelectorAll(".le-highlighted").forEach(el => el.classList.remove("le-highlighted"));
+    }
+
+    /**
+     * Resolve a click in the preview to the innermost tagged element
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const container = this.getContainer();
+        let el = e.target;
+
+        while (el && el !== container) {
+            const className = el.classList ? [...el.classList].find(name => name.startsWith("le-el-")) : null;
+            if (className) {
+                const path = this.elementPaths[parseInt(className.slice(6))];
+                if (path !== undefined) {
+                    this.onElementClick(path);
+                }
+                return;
+            }
+            el = el.parentNode;
+        }
+    }
+}
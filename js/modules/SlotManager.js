@@ -0,0 +1,82 @@
+import { ColorExtractor } from "./ColorExtractor.js";
+import { hexToRgba } from "../utils/colorUtils.js";
+
+/**
+ * Turns color groups into named slots (Lottie slots spec: root "slots" plus "sid"
+ * references on the color properties) and builds alternate theme files for them
+ */
+export class SlotManager {
+    constructor() {
+        // Separate extractor so the editor's grouped colors are left untouched
+        this.extractor = new ColorExtractor();
+    }
+
+    /**
+     * Check whether a color instance can be bound to a slot. Slots replace a whole
+     * property, so only static fill/stroke/text animator colors qualify.
+     * @param {Object} instance - Color instance from ColorExtractor
+     * @returns {boolean} True if the instance's property can carry a sid
+     */
+    isSlottable(instance) {
+        return !instance.key
+            && ["solid", "stroke", "text"].includes(instance.type)
+            && instance.ref.a !== 1
+            && Array.isArray(instance.ref.k);
+    }
+
+    /**
+     * Turn a user-entered slot name into a slot id
+     * @param {string} name - Slot name
+     * @returns {string} Id made of letters, digits, "_" and "-" (empty if nothing is left)
+     */
+    normalizeId(name) {
+        return name.trim().replace(/[^\w-]+/g, "_").replace(/^_+|_+$/g, "");
+    }
+
+    /**
+     * Add the slots to animation data: each bound property gets a sid and each slot
+     * gets a root entry holding its default value (the color of its first property)
+     * @param {Object} animData - Animation data to modify in place
+     * @param {Array<{id: string, paths: string[]}>} slots - Slots and the color paths bound to them
+     * @returns {{slotted: number, missing: number}} Bound properties, and paths no longer found or slottable
+     */
+    applySlots(animData, slots) {
+        const instances = new Map(this.extractor.extractColors(animData).map(instance => [instance.path, instance]));
+        const result = { slotted: 0, missing: 0 };
+
+        slots.forEach(slot => {
+            slot.paths.forEach(path => {
+                const instance = instances.get(path);
+                if (!instance || !this.isSlottable(instance)) {
+                    result.missing++;
+                    return;
+                }
+
+                instance.ref.sid = slot.id;
+                if (!animData.slots) animData.slots = {};
+                if (!animData.slots[slot.id]) {
+                    animData.slots[slot.id] = { p: { a: 0, k: [...instance.ref.k] } };
+                }
+                result.slotted++;
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Build a theme file (dotLottie theme format) overriding slot colors
+     * @param {Object} theme - { name, values: { slotId: hex } }
+     * @param {Array<{id: string}>} slots - Slots of the animation
+     * @returns {{rules: Array<{id: string, type: string, value: number[]}>}} Theme data
+     */
+    buildTheme(theme, slots) {
+        const rules = slots
+            .filter(slot => theme.values[slot.id])
+            .map(slot => {
+                const { r, g, b, a } = hexToRgba(theme.values[slot.id]);
+                return { id: slot.id, type: "Color", value: [r / 255, g / 255, b / 255, a] };
+            });
+        return { rules };
+    }
+}
@@ -0,0 +1,305 @@
+import { LottieOptimizer } from "./LottieOptimizer.js";
+
+const TGS_SIZE = 512;
+const TGS_FRAME_RATE = 60;
+const TGS_MAX_DURATION = 3; // Seconds
+const TGS_MAX_BYTES = 64 * 1024; // Gzipped
+
+// Fixes run in this order: features are stripped before resizing/retiming, and the size check comes last
+const FIX_ORDER = ["images", "expressions", "effects", "3d", "auto-orient", "canvas-size", "frame-rate", "duration", "file-size"];
+
+/**
+ * Checks animation data against Telegram's animated sticker requirements
+ * and applies automatic fixes where possible
+ */
+export class TgsValidator {
+    /**
+     * @param {Object} codec - Gzip codec with gzip(string) => Uint8Array (defaults to the global pako)
+     */
+    constructor(codec = globalThis.pako) {
+        this.codec = codec;
+        this.optimizer = new LottieOptimizer(codec);
+    }
+
+    /**
+     * List every rule the animation breaks
+     * @param {Object} animData - Animation data as it would be exported
+     * @returns {Array<{rule: string, message: string, path: string, fixable: boolean}>} Violations
+     *   (path is the offending layer path, empty for the whole composition)
+     */
+    validate(animData) {
+        const issues = [];
+        const add = (rule, message, path = "") => issues.push({ rule, message, path, fixable: FIX_ORDER.includes(rule) });
+
+        if (animData.w !== TGS_SIZE || animData.h !== TGS_SIZE) {
+            add("canvas-size", `Canvas is ${animData.w}×${animData.h}, stickers must be ${TGS_SIZE}×${TGS_SIZE}`);
+        }
+        if (animData.fr !== TGS_FRAME_RATE) {
+            add("frame-rate", `Frame rate is ${animData.fr} fps, stickers must run at ${TGS_FRAME_RATE} fps`);
+        }
+        const duration = (animData.op - animData.ip) / animData.fr;
+        if (duration > TGS_MAX_DURATION + 1e-6) {
+            add("duration", `Duration is ${duration.toFixed(2)} s, the limit is ${TGS_MAX_DURATION} s`);
+        }
+        if (animData.ddd === 1) {
+            add("3d", "3D compositions are not supported");
+        }
+
+        const imageAssets = (animData.assets || []).filter(asset => this.isImageAsset(asset));
+        if (imageAssets.length > 0) {
+            add("images", `${imageAssets.length} embedded image asset(s) are not allowed`);
+        }
+
+        this.forEachLayer(animData, (layer, path) => {
+            if (layer.ty === 2) add("images", "Image layers are not supported", path);
+            if (layer.ty === 5) add("text", "Text layers are not supported, convert the text to shapes", path);
+            if (layer.ddd === 1) add("3d", "3D layers are not supported", path);
+            if (layer.ao === 1) add("auto-orient", "Auto-orient is not supported", path);
+            if (Array.isArray(layer.ef) && layer.ef.length > 0) add("effects", "Layer effects are not supported", path);
+            if (layer.tm) add("time-remap", "Time remapping is not supported", path);
+            if (layer.sr !== undefined && layer.sr !== 1) add("time-stretch", "Time stretching is not supported", path);
+            if (this.optimizer.hasExpressions(layer)) add("expressions", "Expressions are not supported", path);
+
+            this.forEachShape(layer.shapes, path, (shape, shapePath) => {
+                if (shape.ty === "mm") add("merge-paths", "Merge paths are not supported", shapePath);
+                if (shape.ty === "rp") add("repeater", "Repeaters are not supported", shapePath);
+                if (shape.ty === "sr" && shape.sy === 1) add("star", "Star shapes are not supported", shapePath);
+            });
+        });
+
+        const size = this.getGzipSize(animData);
+        if (size > TGS_MAX_BYTES) {
+            add("file-size", `Compressed size is ${(size / 1024).toFixed(1)} KB, the limit is ${TGS_MAX_BYTES / 1024} KB`);
+        }
+
+        return issues;
+    }
+
+    /**
+     * Apply automatic fixes to a copy of the animation data
+     * @param {Object} animData - Animation data
+     * @param {Iterable<string>} rules - Rules to fix (unfixable rules are ignored)
+     * @returns {Object} Fixed animation data
+     */
+    fix(animData, rules) {
+        const selected = new Set(rules);
+        const data = JSON.parse(JSON.stringify(animData));
+
+        FIX_ORDER.filter(rule => selected.has(rule)).forEach(rule => {
+            switch (rule) {
+                case "images": this.removeImages(data); break;
+                case "expressions": this.removeExpressions(data); break;
+                case "effects": this.forEachLayer(data, layer => delete layer.ef); break;
+                case "3d":
+                    data.ddd = 0;
+                    this.forEachLayer(data, layer => { if (layer.ddd === 1) layer.ddd = 0; });
+                    break;
+                case "auto-orient": this.forEachLayer(data, layer => { if (layer.ao === 1) layer.ao = 0; }); break;
+                case "canvas-size": this.fitCanvas(data); break;
+                case "frame-rate": this.retime(data, TGS_FRAME_RATE); break;
+                case "duration": data.op = Math.min(data.op, data.ip + TGS_MAX_DURATION * data.fr); break;
+                case "file-size": this.shrink(data); break;
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * Get the gzipped size of animation data
+     * @param {Object} animData - Animation data
+     * @returns {number} Size in bytes
+     */
+    getGzipSize(animData) {
+        return this.codec.gzip(JSON.stringify(animData)).length;
+    }
+
+    /**
+     * Visit every layer, including the layers of precomps (each asset once)
+     * @param {Object} animData - Animation data
+     * @param {Function} callback - Called with (layer, layerPath), layerPath being "Layer › Nested layer"
+     */
+    forEachLayer(animData, callback) {
+        const assets = new Map((animData.assets || []).map(asset => [asset.id, asset]));
+        const visited = new Set();
+
+        const walk = (layers, trail) => {
+            (layers || []).forEach((layer, i) => {
+                const layerTrail = [...trail, layer.nm || `Layer ${i + 1}`];
+                callback(layer, layerTrail.join(" › "));
+
+                const asset = layer.ty === 0 ? assets.get(layer.refId) : null;
+                if (asset && asset.layers && !visited.has(asset.id)) {
+                    visited.add(asset.id);
+                    walk(asset.layers, layerTrail);
+                }
+            });
+        };
+        walk(animData.layers, []);
+
+        // Precomps that no layer references still end up in the file
+        (animData.assets || []).forEach(asset => {
+            if (asset.layers && !visited.has(asset.id)) {
+                visited.add(asset.id);
+                walk(asset.layers, [asset.nm || asset.id]);
+            }
+        });
+    }
+
+    /**
+     * Visit every shape of a layer, including the contents of groups
+     * @param {Array} shapes - Shape list
+     * @param {string} path - Path of the owning layer or group
+     * @param {Function} callback - Called with (shape, shapePath)
+     */
+    forEachShape(shapes, path, callback) {
+        (shapes || []).forEach((shape, i) => {
+            const shapePath = `${path} › ${shape.nm || `Shape ${i + 1}`}`;
+            callback(shape, shapePath);
+            if (shape.ty === "gr") {
+                this.forEachShape(shape.it, shapePath, callback);
+            }
+        });
+    }
+
+    /**
+     * Check whether an asset is an image (images have a file path and no layers)
+     * @param {Object} asset - Asset
+     * @returns {boolean} True for image assets
+     */
+    isImageAsset(asset) {
+        return !!asset && typeof asset.p === "string" && !asset.layers;
+    }
+
+    /**
+     * Remove the expression of every animated property (the keyframed or static value is kept)
+     * @param {Object} obj - Object to clean in place
+     */
+    removeExpressions(obj) {
+        if (!obj || typeof obj !== "object") return;
+        if (typeof obj.x === "string" && "k" in obj) {
+            delete obj.x;
+        }
+        Object.values(obj).forEach(value => this.removeExpressions(value));
+    }
+
+    /**
+     * Remove image layers and image assets
+     * @param {Object} animData - Animation data to modify in place
+     */
+    removeImages(animData) {
+        const removeFrom = (layers) => {
+            const removed = new Set(layers.filter(layer => layer.ty === 2).map(layer => layer.ind));
+            const kept = layers.filter(layer => layer.ty !== 2);
+            // Children of a removed layer lose their parent instead of pointing at a missing one
+            kept.forEach(layer => {
+                if (layer.parent !== undefined && removed.has(layer.parent)) delete layer.parent;
+            });
+            return kept;
+        };
+
+        animData.layers = removeFrom(animData.layers || []);
+        animData.assets = (animData.assets || []).filter(asset => !this.isImageAsset(asset));
+        animData.assets.forEach(asset => {
+            if (asset.layers) asset.layers = removeFrom(asset.layers);
+        });
+    }
+
+    /**
+     * Rescale the composition to the sticker canvas by nesting it in a centered precomp
+     * @param {Object} animData - Animation data to modify in place
+     */
+    fitCanvas(animData) {
+        const { w, h } = animData;
+        const scale = Math.min(TGS_SIZE / w, TGS_SIZE / h) * 100;
+
+        animData.assets = animData.assets || [];
+        let id = "tgs_canvas";
+        for (let i = 2; animData.assets.some(asset => asset.id === id); i++) {
+            id = `tgs_canvas_${i}`;
+        }
+        animData.assets.push({ id, layers: animData.layers });
+
+        animData.layers = [{
+            ddd: 0,
+            ind: 1,
+            ty: 0,
+            nm: "Canvas",
+            refId: id,
+            sr: 1,
+            ks: {
+                o: { a: 0, k: 100 },
+                r: { a: 0, k: 0 },
+                p: { a: 0, k: [TGS_SIZE / 2, TGS_SIZE / 2, 0] },
+                a: { a: 0, k: [w / 2, h / 2, 0] },
+                s: { a: 0, k: [scale, scale, 100] },
+            },
+            ao: 0,
+            w,
+            h,
+            ip: animData.ip,
+            op: animData.op,
+            st: 0,
+            bm: 0,
+        }];
+        animData.w = TGS_SIZE;
+        animData.h = TGS_SIZE;
+    }
+
+    /**
+     * Change the frame rate, scaling every frame number so the animation keeps its speed
+     * @param {Object} animData - Animation data to modify in place
+     * @param {number} frameRate - New frame rate
+     */
+    retime(animData, frameRate) {
+        const factor = frameRate / animData.fr;
+
+        const scaleTimes = (obj) => {
+            if (!obj || typeof obj !== "object") return;
+            // Keyframes: an array of objects that all carry a numeric time
+            if (Array.isArray(obj.k) && obj.k.length > 0 && obj.k.every(kf => kf && typeof kf.t === "number")) {
+                obj.k.forEach(kf => { kf.t *= factor; });
+            }
+            Object.values(obj).forEach(scaleTimes);
+        };
+
+        this.forEachLayer(animData, layer => {
+            ["ip", "op", "st"].forEach(key => {
+                if (typeof layer[key] === "number") layer[key] *= factor;
+            });
+        });
+        scaleTimes(animData.layers);
+        scaleTimes(animData.assets);
+        (animData.markers || []).forEach(marker => {
+            if (typeof marker.tm === "number") marker.tm *= factor;
+            if (typeof marker.dr === "number") marker.dr *= factor;
+        });
+
+        animData.ip *= factor;
+        animData.op *= factor;
+        animData.fr = frameRate;
+    }
+
+    /**
+     * Drop names and round numbers until the gzipped file fits the size limit
+     * (stops at two decimals so colors stay accurate)
+     * @param {Object} animData - Animation data to modify in place
+     */
+    shrink(animData) {
+        const stripNames = (obj) => {
+            if (!obj || typeof obj !== "object") return;
+            if (!Array.isArray(obj)) {
+                delete obj.nm;
+                delete obj.mn;
+            }
+            Object.values(obj).forEach(stripNames);
+        };
+        stripNames(animData.layers);
+        stripNames(animData.assets);
+
+        for (const decimals of [3, 2]) {
+            if (this.getGzipSize(animData) <= TGS_MAX_BYTES) return;
+            this.optimizer.roundNumbers(animData, decimals);
+        }
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Records frames drawn on a canvas into a WebM video with MediaRecorder.
+ * MediaRecorder timestamps frames in real time, so frames are paced at the target fps.
+ */
+export class WebmRecorder {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas the frames are drawn on
+     * @param {number} fps - Frames per second
+     */
+    constructor(canvas, fps) {
+        this.canvas = canvas;
+        this.fps = fps;
+        this.chunks = [];
+        this.recorder = null;
+        this.track = null;
+    }
+
+    /**
+     * Check whether the browser can record WebM from a canvas
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== "undefined" &&
+            typeof HTMLCanvasElement.prototype.captureStream === "function" &&
+            MediaRecorder.isTypeSupported("video/webm");
+    }
+
+    /**
+     * Start recording
+     */
+    start() {
+        // Frame rate 0: frames are only captured when requested
+        const stream = this.canvas.captureStream(0);
+        this.track = stream.getVideoTracks()[0];
+
+        const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"]
+            .find(type => MediaRecorder.isTypeSupported(type));
+        this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this.chunks.push(e.data);
+        };
+        this.recorder.start();
+    }
+
+    /**
+     * Capture the canvas as the next frame and hold it for one frame duration
+     * @returns {Promise<void>}
+     */
+    addFrame() {
+        if (this.track.requestFrame) {
+            this.track.requestFrame();
+        }
+        return new Promise(resolve => setTimeout(resolve, 1000 / this.fps));
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise<Blob>} WebM video
+     */
+    finish() {
+        return new Promise(resolve => {
+            this.recorder.onstop = () => resolve(new Blob(this.chunks, { type: "video/webm" }));
+            this.recorder.stop();
+            this.track.stop();
+        });
+    }
+
+    /**
+     * Stop recording and discard the video
+     */
+    cancel() {
+        if (this.recorder && this.recorder.state !== "inactive") {
+            this.recorder.onstop = null;
+            this.recorder.stop();
+        }
+        if (this.track) {
+            this.track.stop();
+        }
+        this.chunks = [];
+    }
+}
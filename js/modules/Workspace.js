@@ -0,0 +1,174 @@
+import { HistoryManager } from "./HistoryManager.js";
+import { HslAdjustManager } from "./HueShiftManager.js";
+
+/**
+ * Keeps the open files (each with its own animation data, history and HSL state)
+ * and renders them as tabs
+ */
+export class Workspace {
+    constructor(containerElement, onSwitch, onClose) {
+        this.container = containerElement;
+        this.onSwitch = onSwitch;
+        this.onClose = onClose;
+        this.documents = [];
+        this.activeDocument = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Open a file as a new document (not activated)
+     * @param {string} name - File name
+     * @param {Object} originalAnimData - Animation data as loaded
+     * @returns {Object} Document ({ id, name, originalAnimData, animData, historyManager, hslManager, dotLottie, slots, themes })
+     */
+    addDocument(name, originalAnimData) {
+        const doc = this.createDocument(name, originalAnimData, JSON.parse(JSON.stringify(originalAnimData)));
+        this.documents.push(doc);
+        this.renderTabs();
+        return doc;
+    }
+
+    /**
+     * Build a document object
+     * @param {string} name - File name
+     * @param {Object} originalAnimData - Animation data as loaded
+     * @param {Object} animData - Edited animation data
+     * @returns {Object} Document
+     */
+    createDocument(name, originalAnimData, animData) {
+        return {
+            id: this.nextId++,
+            name,
+            originalAnimData,
+            animData,
+            historyManager: new HistoryManager(500), // Stores up to 500 color-level steps for Undo/Redo
+            hslManager: new HslAdjustManager(),
+            dotLottie: null, // { archive, animationId } for animations opened from a .lottie file
+            slots: [], // Named color slots ({ id, paths })
+            themes: [], // Alternate slot colors ({ name, values: { slotId: hex } })
+        };
+    }
+
+    /**
+     * Get the open documents as plain data (for saving the session)
+     * @returns {{documents: Array, activeIndex: number}} Workspace state
+     */
+    serialize() {
+        return {
+            documents: this.documents.map(doc => ({
+                name: doc.name,
+                originalAnimData: doc.originalAnimData,
+                animData: doc.animData,
+                history: doc.historyManager.serialize(),
+                hsl: doc.hslManager.serialize(),
+                dotLottie: doc.dotLottie,
+                slots: doc.slots,
+                themes: doc.themes,
+            })),
+            activeIndex: this.documents.indexOf(this.activeDocument),
+        };
+    }
+
+    /**
+     * Replace the open documents with a state saved by serialize() and activate its active document
+     * @param {{documents: Array, activeIndex: number}} state - Saved workspace state
+     */
+    restore(state) {
+        this.documents = state.documents.map(saved => {
+            const doc = this.createDocument(saved.name, saved.originalAnimData, saved.animData);
+            doc.historyManager.restore(saved.history);
+            doc.hslManager.restore(saved.hsl);
+            doc.dotLottie = saved.dotLottie || null;
+            doc.slots = saved.slots || [];
+            doc.themes = saved.themes || [];
+            return doc;
+        });
+
+        this.activeDocument = null;
+        const active = this.documents[state.activeIndex] || this.documents[0];
+        if (active) {
+            this.select(active);
+        } else {
+            this.renderTabs();
+        }
+    }
+
+    /**
+     * Close a document and activate its neighbour
+     * @param {Object} doc - Document to close
+     * @returns {Object|null} Newly active document, or null if none is left
+     */
+    removeDocument(doc) {
+        const index = this.documents.indexOf(doc);
+        if (index === -1) return this.activeDocument;
+
+        this.documents.splice(index, 1);
+        if (doc !== this.activeDocument) {
+            this.renderTabs();
+            return this.activeDocument;
+        }
+
+        this.activeDocument = null;
+        const next = this.documents[Math.min(index, this.documents.length - 1)] || null;
+        if (next) {
+            this.select(next);
+        } else {
+            this.renderTabs();
+        }
+        return next;
+    }
+
+    /**
+     * Activate a document and notify the listener
+     * @param {Object} doc - Document to activate
+     */
+    select(doc) {
+        if (doc === this.activeDocument) return;
+        const previous = this.activeDocument;
+        this.activeDocument = doc;
+        this.renderTabs();
+        this.onSwitch(doc, previous);
+    }
+
+    /**
+     * Get all open documents except the active one
+     * @returns {Array} Documents
+     */
+    getOtherDocuments() {
+        return this.documents.filter(doc => doc !== this.activeDocument);
+    }
+
+    /**
+     * Render one tab per open document
+     */
+    renderTabs() {
+        this.container.innerHTML = "";
+
+        this.documents.forEach(doc => {
+            const tab = document.createElement("div");
+            tab.className = "file-tab";
+            tab.title = doc.name;
+            if (doc === this.activeDocument) {
+                tab.classList.add("active");
+            }
+
+            const name = document.createElement("span");
+            name.className = "file-tab-name";
+            name.textContent = doc.name;
+
+            const closeBtn = document.createElement("button");
+            closeBtn.className = "file-tab-close";
+            closeBtn.textContent = "×";
+            closeBtn.title = "Close file";
+            closeBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.onClose(doc);
+            };
+
+            tab.onclick = () => this.select(doc);
+            tab.appendChild(name);
+            tab.appendChild(closeBtn);
+            this.container.appendChild(tab);
+        });
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Runtime helper for web players: applies color overrides from a color manifest
+ * to animation data before it is handed to lottie.loadAnimation.
+ *
+ * The functions below only depend on each other and on copyColors, so the editor
+ * can bundle their source into a standalone file (see ColorManifest.buildRuntimeSource).
+ */
+import { copyColors } from "../utils/colorCopy.js";
+
+/**
+ * Parse an override color
+ * @param {string|number[]} value - "#rgb", "#rrggbb", "#rrggbbaa" or [r, g, b, a?] in 0-1
+ * @returns {number[]|null} [r, g, b, a] in 0-1, or null if invalid
+ */
+export function parseOverrideColor(value) {
+  if (Array.isArray(value) && value.length >= 3) {
+    return [value[0], value[1], value[2], value.length > 3 ? value[3] : 1];
+  }
+  if (typeof value !== "string") return null;
+
+  let digits = value.trim().replace(/^#/, "");
+  if (/^[0-9a-f]{3}$/i.test(digits)) {
+    digits = digits.split("").map(d => d + d).join("");
+  }
+  if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(digits)) return null;
+
+  const channels = digits.match(/../g).map(pair => parseInt(pair, 16) / 255);
+  return channels.length === 4 ? channels : [...channels, 1];
+}
+
+/**
+ * Write a color at a color path of the manifest (a property, keyframe, text color,
+ * solid layer color or gradient stop)
+ * @param {Object} animData - Animation data to modify in place
+ * @param {string} path - Dotted color path, e.g. "layers.0.shapes.1.c"
+ * @param {number[]} rgba - [r, g, b, a] in 0-1
+ * @returns {boolean} True if the path was found
+ */
+export function writeColorAtPath(animData, path, rgba) {
+  const keys = path.split(".");
+  const key = keys.pop();
+  const parent = keys.reduce((obj, k) => (obj && typeof obj === "object" ? obj[k] : undefined), animData);
+  if (!parent || typeof parent !== "object" || !(key in parent)) return false;
+
+  const value = parent[key];
+  const [r, g, b, a] = rgba;
+
+  if (typeof value === "string") {
+    // Solid layer color (hex string, no alpha)
+    parent[key] = "#" + [r, g, b].map(c => Math.round(c * 255).toString(16).padStart(2, "0")).join("");
+  } else if (typeof value === "number") {
+    // Gradient stop: the path points at the stop offset, followed by r, g, b
+    parent[Number(key) + 1] = r;
+    parent[Number(key) + 2] = g;
+    parent[Number(key) + 3] = b;
+  } else if (Array.isArray(value)) {
+    // Text document color (plain array)
+    parent[key] = value.length === 3 && a >= 1 ? [r, g, b] : [r, g, b, a];
+  } else if (value && Array.isArray(value.s)) {
+    // Color keyframe
+    value.s = [r, g, b, a];
+  } else if (value && Array.isArray(value.k)) {
+    // Static color property
+    value.k = [r, g, b, a];
+  } else {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Apply color overrides to animation data. Colors are written into a scratch copy and
+ * merged back with copyColors, so only color properties of animData are touched.
+ * @param {Object} animData - Animation data (modified in place)
+ * @param {Object} manifest - Color manifest exported by the editor
+ * @param {Object} overrides - Color id → override color (see parseOverrideColor)
+ * @returns {Object} animData, ready for lottie.loadAnimation({ animationData })
+ */
+export function applyColorOverrides(animData, manifest, overrides) {
+  const themed = JSON.parse(JSON.stringify(animData));
+
+  (manifest.colors || []).forEach(color => {
+    if (!(color.id in overrides)) return;
+    const rgba = parseOverrideColor(overrides[color.id]);
+    if (!rgba) {
+      console.warn(`Invalid override for color "${color.id}":`, overrides[color.id]);
+      return;
+    }
+    color.paths.forEach(path => writeColorAtPath(themed, path, rgba));
+  });
+
+  copyColors(themed, animData);
+  return animData;
+}
+
+/**
+ * Read color overrides from the CSS variables of the kit's stylesheet ("--<color id>"),
+ * so a page can theme an animation from CSS, e.g. .player { --color-1x2y3z4: #ff0000; }
+ * @param {Element} element - Element whose computed style holds the variables (e.g. the player container)
+ * @param {Object} manifest - Color manifest exported by the editor
+ * @returns {Object} Color id → override color, for applyColorOverrides
+ */
+export function readCssOverrides(element, manifest) {
+  const style = getComputedStyle(element);
+  const overrides = {};
+  (manifest.colors || []).forEach(color => {
+    const value = style.getPropertyValue(`--${color.id}`).trim();
+    if (value) overrides[color.id] = value;
+  });
+  return overrides;
+}
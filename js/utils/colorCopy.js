@@ -0,0 +1,75 @@
+/**
+ * Copies the color properties of one animation onto another with the same structure
+ */
+
+/**
+ * Deep traverse and copy color data from source to target
+ * @param {Object} sourceObj - Source object with modified colors
+ * @param {Object} targetObj - Target object to copy colors to
+ */
+export function copyColors(sourceObj, targetObj) {
+  if (!sourceObj || typeof sourceObj !== "object" || !targetObj || typeof targetObj !== "object") {
+    return;
+  }
+
+  if (Array.isArray(sourceObj)) {
+    for (let i = 0; i < sourceObj.length; i++) {
+      if (targetObj[i]) {
+        copyColors(sourceObj[i], targetObj[i]);
+      }
+    }
+  } else {
+    // Fill/stroke shapes carry their opacity next to the color
+    const isStyleShape = ["fl", "st", "gf", "gs"].includes(sourceObj.ty);
+    // Gradient shapes also carry their type and start/end points
+    const isGradientShape = ["gf", "gs"].includes(sourceObj.ty);
+
+    for (const key in sourceObj) {
+      if (!sourceObj.hasOwnProperty(key)) continue;
+
+      if ((key === "o" && isStyleShape) || ((key === "s" || key === "e") && isGradientShape)) {
+        if (sourceObj[key] && targetObj[key]) {
+          targetObj[key] = JSON.parse(JSON.stringify(sourceObj[key]));
+        }
+      } else if (key === "t" && isGradientShape) {
+        targetObj[key] = sourceObj[key];
+      } else if (key === "sc" && typeof sourceObj[key] === "string") {
+        // Solid layer color (hex string), not a stroke
+        if (typeof targetObj[key] === "string") {
+          targetObj[key] = sourceObj[key];
+        }
+      } else if ((key === "fc" || key === "sc") && Array.isArray(sourceObj[key])) {
+        // Text document colors are plain arrays
+        if (Array.isArray(targetObj[key])) {
+          targetObj[key] = sourceObj[key];
+        }
+      } else if (key === "c" || key === "sc" || key === "fc") {
+        if (sourceObj[key] && sourceObj[key].k) {
+          if (targetObj[key] && targetObj[key].k) {
+            if (Array.isArray(sourceObj[key].k)) {
+              // "a" goes along, since a color can be turned from static into keyframes and back
+              targetObj[key].a = sourceObj[key].a;
+              targetObj[key].k = sourceObj[key].k;
+            }
+          }
+        }
+      } else if (key === "g") {
+        // Stops can be added or removed, so the stop count goes along
+        if (sourceObj[key] && targetObj[key] && sourceObj[key].p !== undefined) {
+          targetObj[key].p = sourceObj[key].p;
+        }
+        if (sourceObj[key] && Array.isArray(sourceObj[key].k)) {
+          if (targetObj[key] && Array.isArray(targetObj[key].k)) {
+            targetObj[key].k = sourceObj[key].k;
+          }
+        } else if (sourceObj[key] && sourceObj[key].k && Array.isArray(sourceObj[key].k.k)) {
+          if (targetObj[key] && targetObj[key].k && Array.isArray(targetObj[key].k.k)) {
+            targetObj[key].k.k = sourceObj[key].k.k;
+          }
+        }
+      } else if (typeof sourceObj[key] === "object" && sourceObj[key] !== null) {
+        copyColors(sourceObj[key], targetObj[key]);
+      }
+    }
+  }
+}
@@ -12,6 +12,36 @@ export function rgbaToHex(arr) {
   return rgbToHex(r * 255, g * 255, b * 255);
 }
 
+/**
+ * Convert RGBA array (normalized 0-1) to hex color including the alpha channel
+ * @param {number[]} arr - Array of [r, g, b, a] with values 0-1
+ * @returns {string} 8-digit hex color string (e.g., "#ff000080"), or 6-digit if fully opaque
+ */
+export function rgbaToHex8(arr) {
+  return appendAlphaToHex(rgbaToHex(arr), getAlpha(arr));
+}
+
+/**
+ * Read the alpha component of an RGBA array, defaulting to opaque
+ * @param {number[]} arr - Array of [r, g, b] or [r, g, b, a] with values 0-1
+ * @returns {number} Alpha value (0-1)
+ */
+export function getAlpha(arr) {
+  return arr.length > 3 && typeof arr[3] === "number" ? arr[3] : 1;
+}
+
+/**
+ * Append an alpha byte to a 6-digit hex color
+ * @param {string} hex - Hex color string (e.g., "#ff0000")
+ * @param {number} alpha - Alpha value (0-1)
+ * @returns {string} 8-digit hex color string, or the input unchanged if fully opaque
+ */
+export function appendAlphaToHex(hex, alpha) {
+  if (alpha === undefined || alpha >= 1) return hex;
+  const a = Math.round(Math.max(0, alpha) * 255).toString(16).padStart(2, "0");
+  return hex.slice(0, 7) + a;
+}
+
 /**
  * Convert RGB values (0-255) to hex color
  * @param {number} r - Red value (0-255)
@@ -37,10 +67,35 @@ export function rgbToHex(r, g, b) {
  * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
  */
 export function hexToRgb(hex) {
-  const bigint = parseInt(hex.slice(1), 16);
+  const bigint = parseInt(hex.slice(1, 7), 16);
   return { r: (bigint >> 16) & 255, g: (bigint >> 8) & 255, b: bigint & 255 };
 }
 
+/**
+ * Normalize a CSS-style hex color (e.g. "#F00", "#FF0000") to lowercase 6-digit form
+ * @param {string} hex - Hex color string with 3 or 6 digits
+ * @returns {string|null} Normalized hex color (e.g., "#ff0000") or null if invalid
+ */
+export function normalizeHex(hex) {
+  if (typeof hex !== "string") return null;
+  let digits = hex.trim().replace(/^#/, "").toLowerCase();
+  if (digits.length === 3) {
+    digits = digits.split("").map((ch) => ch + ch).join("");
+  }
+  return /^[0-9a-f]{6}$/.test(digits) ? `#${digits}` : null;
+}
+
+/**
+ * Convert 6- or 8-digit hex color to RGBA object
+ * @param {string} hex - Hex color string (e.g., "#ff0000" or "#ff000080")
+ * @returns {{r: number, g: number, b: number, a: number}} RGB values 0-255, alpha 0-1
+ */
+export function hexToRgba(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const a = hex.length === 9 ? parseInt(hex.slice(7, 9), 16) / 255 : 1;
+  return { r, g, b, a };
+}
+
 /**
  * Convert RGB values (0-255) to HSL
  * @param {number} r - Red value (0-255)
@@ -120,6 +175,147 @@ export function hslToRgb(h, s, l) {
   };
 }
 
+/**
+ * Convert RGB values (0-255, sRGB) to CIE L*a*b* (D65 white point)
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {{l: number, a: number, b: number}} Lab object
+ */
+export function rgbToLab(r, g, b) {
+  const toLinear = (v) => {
+    v /= 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+  const lr = toLinear(r);
+  const lg = toLinear(g);
+  const lb = toLinear(b);
+
+  // Linear sRGB -> XYZ, normalized by the D65 reference white
+  const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+  const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.072175;
+  const z = (lr * 0.0193339 + lg * 0.119192 + lb * 0.9503041) / 1.08883;
+
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * Convert CIE L*a*b* (D65 white point) to RGB values (0-255, sRGB)
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - a* component
+ * @param {number} b - b* component
+ * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+ */
+export function labToRgb(l, a, b) {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const finv = (t) => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+
+  const x = finv(fx) * 0.95047;
+  const y = finv(fy);
+  const z = finv(fz) * 1.08883;
+
+  const toSrgb = (v) => {
+    v = v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return Math.round(Math.max(0, Math.min(1, v)) * 255);
+  };
+
+  return {
+    r: toSrgb(x * 3.2404542 - y * 1.5371385 - z * 0.4985314),
+    g: toSrgb(-x * 0.969266 + y * 1.8760108 + z * 0.041556),
+    b: toSrgb(x * 0.0556434 - y * 0.2040259 + z * 1.0572252)
+  };
+}
+
+/**
+ * Perceptual color difference between two Lab colors (CIEDE2000)
+ * @param {{l: number, a: number, b: number}} lab1 - First color
+ * @param {{l: number, a: number, b: number}} lab2 - Second color
+ * @returns {number} Delta E (0 = identical, ~2.3 = just noticeable)
+ */
+export function deltaE2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const { l: l1, a: a1, b: b1 } = lab1;
+  const { l: l2, a: a2, b: b2 } = lab2;
+
+  const c1 = Math.hypot(a1, b1);
+  const c2 = Math.hypot(a2, b2);
+  const cMean = (c1 + c2) / 2;
+  const g = 0.5 * (1 - Math.sqrt(Math.pow(cMean, 7) / (Math.pow(cMean, 7) + Math.pow(25, 7))));
+
+  const a1p = a1 * (1 + g);
+  const a2p = a2 * (1 + g);
+  const c1p = Math.hypot(a1p, b1);
+  const c2p = Math.hypot(a2p, b2);
+
+  const hueAngle = (bp, ap) => {
+    if (bp === 0 && ap === 0) return 0;
+    const h = Math.atan2(bp, ap) / rad;
+    return h >= 0 ? h : h + 360;
+  };
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  const dLp = l2 - l1;
+  const dCp = c2p - c1p;
+  let dhp = 0;
+  if (c1p * c2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((dhp / 2) * rad);
+
+  const lMean = (l1 + l2) / 2;
+  const cpMean = (c1p + c2p) / 2;
+  let hpMean = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      hpMean = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+    } else {
+      hpMean = (h1p + h2p) / 2;
+    }
+  }
+
+  const t =
+    1 -
+    0.17 * Math.cos((hpMean - 30) * rad) +
+    0.24 * Math.cos(2 * hpMean * rad) +
+    0.32 * Math.cos((3 * hpMean + 6) * rad) -
+    0.2 * Math.cos((4 * hpMean - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hpMean - 275) / 25, 2));
+  const rc = 2 * Math.sqrt(Math.pow(cpMean, 7) / (Math.pow(cpMean, 7) + Math.pow(25, 7)));
+  const sl = 1 + (0.015 * Math.pow(lMean - 50, 2)) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+  const sc = 1 + 0.045 * cpMean;
+  const sh = 1 + 0.015 * cpMean * t;
+  const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / sl, 2) +
+    Math.pow(dCp / sc, 2) +
+    Math.pow(dHp / sh, 2) +
+    rt * (dCp / sc) * (dHp / sh)
+  );
+}
+
+/**
+ * Perceptual difference between two hex colors (CIEDE2000)
+ * @param {string} hex1 - First hex color
+ * @param {string} hex2 - Second hex color
+ * @returns {number} Delta E
+ */
+export function hexDeltaE(hex1, hex2) {
+  const c1 = hexToRgb(hex1);
+  const c2 = hexToRgb(hex2);
+  return deltaE2000(rgbToLab(c1.r, c1.g, c1.b), rgbToLab(c2.r, c2.g, c2.b));
+}
+
 /**
  * Shift the hue of a hex color by a given number of degrees
  * @param {string} hex - Hex color string (e.g., "#ff0000")
@@ -0,0 +1,61 @@
+/**
+ * Writes colors back into animation data through the color instances produced by ColorExtractor
+ */
+import { hexToRgb } from "./colorUtils.js";
+import { syncEndValues } from "./keyframes.js";
+
+/**
+ * Write a color into the animation data referenced by a color instance
+ * @param {Object} instance - Color instance from ColorExtractor
+ * @param {string} hex - New 6-digit hex color
+ * @param {number} alpha - New alpha (0-1), ignored for gradient stops and solid layers
+ */
+export function writeInstanceColor(instance, hex, alpha = 1) {
+  const { r, g, b } = hexToRgb(hex);
+  const normalizedR = r / 255;
+  const normalizedG = g / 255;
+  const normalizedB = b / 255;
+
+  if (instance.key && instance.format === "hex") {
+    // Hex string stored directly on the object (solid layer sc); no alpha channel
+    instance.ref[instance.key] = hex;
+  } else if (instance.key) {
+    // Plain color array stored directly on the object (e.g. text document fc/sc)
+    const previous = instance.ref[instance.key];
+    instance.ref[instance.key] = previous && previous.length === 3 && alpha >= 1
+      ? [normalizedR, normalizedG, normalizedB]
+      : [normalizedR, normalizedG, normalizedB, alpha];
+    instance.alpha = alpha;
+  } else if (instance.type === "solid" || instance.type === "stroke" || instance.type === "text") {
+    if (instance.ref.hasOwnProperty("s")) {
+      instance.ref.s = [normalizedR, normalizedG, normalizedB, alpha];
+      // Older files repeat the keyframe's color as the previous segment's end value
+      if (instance.property) syncEndValues(instance.property);
+    } else if (instance.ref.hasOwnProperty("k")) {
+      instance.ref.k = [normalizedR, normalizedG, normalizedB, alpha];
+    }
+    instance.alpha = alpha;
+  } else if (instance.type === "gradient") {
+    const arr = getGradientArray(instance);
+    if (arr) {
+      arr[instance.index + 1] = normalizedR;
+      arr[instance.index + 2] = normalizedG;
+      arr[instance.index + 3] = normalizedB;
+    }
+  }
+  instance.hex = hex;
+}
+
+/**
+ * Get the gradient data array a gradient stop instance points into
+ * @param {Object} instance - Gradient stop instance
+ * @returns {number[]|undefined} Gradient data array [offset, r, g, b, ..., offset, alpha, ...]
+ */
+export function getGradientArray(instance) {
+  if (instance.ref.hasOwnProperty("s") && Array.isArray(instance.ref.s)) {
+    return instance.ref.s;
+  } else if (instance.ref.hasOwnProperty("k") && Array.isArray(instance.ref.k)) {
+    return instance.ref.k;
+  }
+  return undefined;
+}
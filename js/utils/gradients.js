@@ -0,0 +1,180 @@
+/**
+ * Helpers for the stops of gradient properties ({ p, k }).
+ * A gradient data array holds p color stops (offset, r, g, b) followed by optional opacity
+ * stops (offset, alpha). Static gradients have one array; animated gradients have one per
+ * keyframe (plus "e" in older files), all sharing p. Players interpolate keyframes stop by
+ * stop, so adding or removing a stop changes every array at the same index.
+ *
+ * When there are as many opacity stops as color stops, they are kept paired with the color
+ * stops (some renderers read the opacity of color stop i from opacity stop i).
+ */
+
+/**
+ * Get every data array of a gradient
+ * @param {Object} gradient - Gradient property (g)
+ * @returns {number[][]} Static data array, or the arrays of each keyframe
+ */
+export function getGradientArrays(gradient) {
+  const data = gradient && gradient.k;
+  if (Array.isArray(data)) return [data];
+  if (!data || !Array.isArray(data.k)) return [];
+
+  if (data.a === 1) {
+    return data.k.flatMap(keyframe => (keyframe ? [keyframe.s, keyframe.e] : [])).filter(Array.isArray);
+  }
+  return typeof data.k[0] === "number" ? [data.k] : [];
+}
+
+/**
+ * Read the stops of a gradient data array
+ * @param {number[]} arr - Gradient data array
+ * @param {number} stopCount - Number of color stops (g.p)
+ * @returns {{colors: Array<{offset: number, color: number[]}>, opacities: Array<{offset: number, alpha: number}>}}
+ */
+export function readGradientStops(arr, stopCount) {
+  const colors = [];
+  for (let i = 0; i < stopCount * 4 && i + 3 < arr.length; i += 4) {
+    colors.push({ offset: arr[i], color: [arr[i + 1], arr[i + 2], arr[i + 3]] });
+  }
+  const opacities = [];
+  for (let i = stopCount * 4; i + 1 < arr.length; i += 2) {
+    opacities.push({ offset: arr[i], alpha: arr[i + 1] });
+  }
+  return { colors, opacities };
+}
+
+/**
+ * Write stops back into a gradient data array (in place, so references to it stay valid)
+ * @param {number[]} arr - Gradient data array
+ * @param {Object} stops - { colors, opacities } as returned by readGradientStops
+ */
+function writeGradientStops(arr, { colors, opacities }) {
+  arr.length = 0;
+  colors.forEach(stop => arr.push(stop.offset, ...stop.color));
+  opacities.forEach(stop => arr.push(stop.offset, stop.alpha));
+}
+
+/**
+ * Linearly interpolate stop values at an offset
+ * @param {Array} stops - Stops sorted by offset
+ * @param {number} offset - Offset (0-1)
+ * @param {Function} getValue - Returns the values of a stop as an array
+ * @returns {number[]} Interpolated values
+ */
+function interpolate(stops, offset, getValue) {
+  if (offset <= stops[0].offset) return getValue(stops[0]);
+  for (let i = 0; i < stops.length - 1; i++) {
+    const a = stops[i];
+    const b = stops[i + 1];
+    if (offset >= a.offset && offset <= b.offset) {
+      const t = b.offset === a.offset ? 0 : (offset - a.offset) / (b.offset - a.offset);
+      return getValue(a).map((value, j) => value + (getValue(b)[j] - value) * t);
+    }
+  }
+  return getValue(stops[stops.length - 1]);
+}
+
+/**
+ * Add a color stop to a gradient. Its color (and opacity) is the gradient's value at the offset.
+ * @param {Object} gradient - Gradient property (modified in place)
+ * @param {number[]} arr - Data array the stop is added on (the offset of the new stop in
+ *   other keyframes is kept between the same neighbours)
+ * @param {number} offset - Offset (0-1)
+ * @returns {number} Index of the new color stop
+ */
+export function addGradientStop(gradient, arr, offset) {
+  const stopCount = gradient.p;
+  const index = readGradientStops(arr, stopCount).colors.filter(stop => stop.offset <= offset).length;
+
+  getGradientArrays(gradient).forEach(data => {
+    const { colors, opacities } = readGradientStops(data, stopCount);
+    const previous = colors[index - 1];
+    const next = colors[index];
+    const stopOffset = Math.max(previous ? previous.offset : 0, Math.min(next ? next.offset : 1, offset));
+
+    const paired = opacities.length === colors.length;
+    colors.splice(index, 0, { offset: stopOffset, color: interpolate(colors, stopOffset, stop => stop.color) });
+    if (opacities.length > 0) {
+      const [alpha] = interpolate(opacities, stopOffset, stop => [stop.alpha]);
+      const at = paired ? index : opacities.filter(stop => stop.offset <= stopOffset).length;
+      opacities.splice(at, 0, { offset: stopOffset, alpha });
+    }
+    writeGradientStops(data, { colors, opacities });
+  });
+
+  gradient.p = stopCount + 1;
+  return index;
+}
+
+/**
+ * Remove a color stop from a gradient (a gradient keeps at least 2 stops)
+ * @param {Object} gradient - Gradient property (modified in place)
+ * @param {number} index - Index of the color stop
+ * @returns {boolean} True if the stop was removed
+ */
+export function removeGradientStop(gradient, index) {
+  const stopCount = gradient.p;
+  if (stopCount <= 2) return false;
+
+  getGradientArrays(gradient).forEach(data => {
+    const { colors, opacities } = readGradientStops(data, stopCount);
+    if (opacities.length === colors.length) {
+      opacities.splice(index, 1);
+    }
+    colors.splice(index, 1);
+    writeGradientStops(data, { colors, opacities });
+  });
+
+  gradient.p = stopCount - 1;
+  return true;
+}
+
+/**
+ * Reverse the direction of a gradient: the last stop becomes the first
+ * @param {Object} gradient - Gradient property (modified in place)
+ */
+export function reverseGradient(gradient) {
+  getGradientArrays(gradient).forEach(data => {
+    const { colors, opacities } = readGradientStops(data, gradient.p);
+    const mirror = stop => ({ ...stop, offset: 1 - stop.offset });
+    writeGradientStops(data, { colors: colors.reverse().map(mirror), opacities: opacities.reverse().map(mirror) });
+  });
+}
+
+/**
+ * Space the color stops of a gradient evenly between 0 and 1 (paired opacity stops move with them)
+ * @param {Object} gradient - Gradient property (modified in place)
+ */
+export function distributeGradientStops(gradient) {
+  getGradientArrays(gradient).forEach(data => {
+    const { colors, opacities } = readGradientStops(data, gradient.p);
+    const paired = opacities.length === colors.length;
+    colors.forEach((stop, i) => {
+      stop.offset = colors.length > 1 ? i / (colors.length - 1) : 0;
+      if (paired) opacities[i].offset = stop.offset;
+    });
+    writeGradientStops(data, { colors, opacities });
+  });
+}
+
+/**
+ * Move a color stop of one data array and keep its stops sorted by offset
+ * @param {number[]} arr - Gradient data array (modified in place)
+ * @param {number} stopCount - Number of color stops (g.p)
+ * @param {number} index - Index of the color stop
+ * @param {number} offset - New offset (clamped to 0-1)
+ * @returns {number[]} Old index of each color stop, in their new order
+ */
+export function moveGradientStop(arr, stopCount, index, offset) {
+  const { colors, opacities } = readGradientStops(arr, stopCount);
+  const paired = opacities.length === colors.length;
+  colors[index].offset = Math.max(0, Math.min(1, offset));
+  if (paired) opacities[index].offset = colors[index].offset;
+
+  const order = colors.map((stop, i) => i).sort((a, b) => colors[a].offset - colors[b].offset);
+  writeGradientStops(arr, {
+    colors: order.map(i => colors[i]),
+    opacities: paired ? order.map(i => opacities[i]) : opacities,
+  });
+  return order;
+}
@@ -0,0 +1,207 @@
+/**
+ * Helpers for the keyframes of animated color properties ({ a: 1, k: [keyframes] }).
+ * Each keyframe keeps its easing (o/i handles, h for hold) when colors are edited,
+ * keyframes are added or removed, or keyframes are moved in time.
+ *
+ * Files exported by older Bodymovin versions also store each segment's end value in "e"
+ * and close the list with a keyframe that only has "t"; syncEndValues keeps those in step.
+ */
+
+// Easing After Effects exports for color keyframes; used for keyframes that start a segment but have none
+const DEFAULT_EASING = { o: { x: [0.167], y: [0.167] }, i: { x: [0.833], y: [0.833] } };
+
+// Easing offered when a static color is turned into keyframes (null = hold)
+export const EASING_PRESETS = {
+  linear: { o: { x: [0], y: [0] }, i: { x: [1], y: [1] } },
+  ease: { o: { x: [0.333], y: [0] }, i: { x: [0.667], y: [1] } },
+  easeIn: { o: { x: [0.333], y: [0] }, i: { x: [1], y: [1] } },
+  easeOut: { o: { x: [0], y: [0] }, i: { x: [0.667], y: [1] } },
+  hold: null,
+};
+
+/**
+ * Get the keyframes of an animated property that hold a color, in time order
+ * @param {Object} property - Animated color property
+ * @returns {Array<{index: number, keyframe: Object}>} Color keyframes and their index in property.k
+ */
+export function getColorKeyframes(property) {
+  if (!property || property.a !== 1 || !Array.isArray(property.k)) return [];
+  return property.k
+    .map((keyframe, index) => ({ index, keyframe }))
+    .filter(({ keyframe }) => keyframe && Array.isArray(keyframe.s));
+}
+
+/**
+ * Get the color of an animated property at a frame (linear between keyframes, ignoring easing)
+ * @param {Object} property - Animated color property
+ * @param {number} frame - Frame in the property's layer time
+ * @returns {number[]|null} [r, g, b, a] in 0-1, or null if the property has no color keyframes
+ */
+export function sampleColorAt(property, frame) {
+  const keyframes = getColorKeyframes(property).map(({ keyframe }) => keyframe);
+  if (keyframes.length === 0) return null;
+
+  const toRgba = (color) => [color[0], color[1], color[2], color.length > 3 ? color[3] : 1];
+  if (frame <= keyframes[0].t) return toRgba(keyframes[0].s);
+
+  for (let i = 0; i < keyframes.length - 1; i++) {
+    const a = keyframes[i];
+    const b = keyframes[i + 1];
+    if (frame >= a.t && frame <= b.t) {
+      const from = toRgba(a.s);
+      if (a.h === 1) return from;
+      const to = toRgba(b.s);
+      const t = b.t === a.t ? 0 : (frame - a.t) / (b.t - a.t);
+      return from.map((value, j) => value + (to[j] - value) * t);
+    }
+  }
+  return toRgba(keyframes[keyframes.length - 1].s);
+}
+
+/**
+ * Add a color keyframe. It copies the easing of the segment it splits, so the
+ * animation keeps its curve on both sides of the new keyframe.
+ * @param {Object} property - Animated color property (modified in place)
+ * @param {number} frame - Frame in the property's layer time
+ * @param {number[]} color - [r, g, b, a] in 0-1
+ * @returns {number} Index of the new keyframe in property.k
+ */
+export function addColorKeyframe(property, frame, color) {
+  const keyframes = property.k;
+  let insertAt = keyframes.findIndex(keyframe => keyframe.t > frame);
+  if (insertAt === -1) insertAt = keyframes.length;
+
+  // A closing keyframe without a value (older files) stays last
+  const last = keyframes[keyframes.length - 1];
+  if (insertAt === keyframes.length && last && !Array.isArray(last.s) && keyframes.length > 1) {
+    insertAt = keyframes.length - 1;
+  }
+
+  // Easing of the segment being split, or of the nearest segment when adding before the first keyframe
+  const keyframe = { t: frame, s: [...color] };
+  const previous = keyframes[insertAt - 1] || keyframes[insertAt];
+  if (previous) {
+    ["i", "o"].forEach(key => {
+      if (previous[key]) keyframe[key] = JSON.parse(JSON.stringify(previous[key]));
+    });
+    if (previous.h === 1) keyframe.h = 1;
+  }
+
+  keyframes.splice(insertAt, 0, keyframe);
+  ensureEasing(property);
+  syncEndValues(property);
+  return insertAt;
+}
+
+/**
+ * Remove a color keyframe (the last color keyframe of a property is kept)
+ * @param {Object} property - Animated color property (modified in place)
+ * @param {number} index - Index of the keyframe in property.k
+ * @returns {boolean} True if the keyframe was removed
+ */
+export function removeColorKeyframe(property, index) {
+  if (getColorKeyframes(property).length <= 1) return false;
+
+  property.k.splice(index, 1);
+  ensureEasing(property);
+  syncEndValues(property);
+  return true;
+}
+
+/**
+ * Move a color keyframe in time. Its color and easing move with it.
+ * @param {Object} property - Animated color property (modified in place)
+ * @param {number} index - Index of the keyframe in property.k
+ * @param {number} frame - New frame in the property's layer time
+ * @returns {number} New index of the keyframe in property.k
+ */
+export function retimeColorKeyframe(property, index, frame) {
+  const keyframe = property.k[index];
+  keyframe.t = frame;
+
+  // Keep the closing keyframe (older files) after every color keyframe
+  const last = property.k[property.k.length - 1];
+  const closing = last && !Array.isArray(last.s) ? last : null;
+  const colorKeyframes = property.k.filter(k => k !== closing);
+  colorKeyframes.sort((a, b) => a.t - b.t);
+  if (closing) closing.t = Math.max(closing.t, frame);
+
+  property.k = closing ? [...colorKeyframes, closing] : colorKeyframes;
+  ensureEasing(property);
+  syncEndValues(property);
+  return property.k.indexOf(keyframe);
+}
+
+/**
+ * Turn a static color property into an animated one
+ * @param {Object} property - Static color property (modified in place)
+ * @param {Array<{t: number, color: number[]}>} keyframes - Frames in the property's layer time and [r, g, b, a] colors
+ * @param {string} easing - Key of EASING_PRESETS
+ */
+export function animateColor(property, keyframes, easing = "ease") {
+  const preset = EASING_PRESETS[easing];
+  property.a = 1;
+  property.k = [...keyframes]
+    .sort((a, b) => a.t - b.t)
+    .map(({ t, color }) => {
+      const keyframe = { t, s: [...color] };
+      if (preset) {
+        keyframe.o = JSON.parse(JSON.stringify(preset.o));
+        keyframe.i = JSON.parse(JSON.stringify(preset.i));
+      } else {
+        keyframe.h = 1;
+      }
+      return keyframe;
+    });
+}
+
+/**
+ * Turn an animated color property into a static one, keeping its color at a frame
+ * @param {Object} property - Animated color property (modified in place)
+ * @param {number} frame - Frame in the property's layer time
+ * @returns {boolean} True if the property was flattened
+ */
+export function flattenColor(property, frame) {
+  const color = sampleColorAt(property, frame);
+  if (!color) return false;
+
+  property.a = 0;
+  property.k = color;
+  return true;
+}
+
+/**
+ * Give default easing to keyframes that start a segment but have none
+ * (e.g. the former last keyframe once another is added after it)
+ * @param {Object} property - Animated color property (modified in place)
+ */
+function ensureEasing(property) {
+  const keyframes = getColorKeyframes(property).map(({ keyframe }) => keyframe);
+  keyframes.slice(0, -1).forEach(keyframe => {
+    if (keyframe.h === 1 || (keyframe.i && keyframe.o)) return;
+    keyframe.o = JSON.parse(JSON.stringify(DEFAULT_EASING.o));
+    keyframe.i = JSON.parse(JSON.stringify(DEFAULT_EASING.i));
+  });
+}
+
+/**
+ * Set the end value ("e") of each segment to the color of the next keyframe, in files that use them
+ * @param {Object} property - Animated color property (modified in place)
+ */
+export function syncEndValues(property) {
+  const keyframes = getColorKeyframes(property).map(({ keyframe }) => keyframe);
+  if (!keyframes.some(keyframe => Array.isArray(keyframe.e))) return;
+
+  // Before a closing keyframe, the last "e" is the value the animation ends on and is kept
+  const last = property.k[property.k.length - 1];
+  const hasClosing = last && !Array.isArray(last.s);
+
+  keyframes.forEach((keyframe, i) => {
+    const next = keyframes[i + 1];
+    if (next) {
+      keyframe.e = [...next.s];
+    } else if (!hasClosing) {
+      delete keyframe.e;
+    }
+  });
+}
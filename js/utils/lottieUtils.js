@@ -0,0 +1,69 @@
+/**
+ * Helpers for recognizing Lottie structures that are not identified by a "ty" field
+ */
+
+// Path of a text animator's animated properties, e.g. "layers.2.t.a.0.a"
+const TEXT_ANIMATOR_PATH = /(^|\.)t\.a\.\d+\.a$/;
+
+/**
+ * Check whether an object is a text document (the "s" of a text layer's t.d.k keyframes)
+ * @param {Object} obj - Object to check
+ * @returns {boolean} True if the object holds text and plain fill/stroke color arrays
+ */
+export function isTextDocument(obj) {
+  return !!obj && typeof obj.t === "string" && (Array.isArray(obj.fc) || Array.isArray(obj.sc));
+}
+
+/**
+ * Check whether a path points at the animated properties of a text animator
+ * @param {string} path - Dotted path in the animation tree
+ * @returns {boolean} True for paths like "layers.2.t.a.0.a"
+ */
+export function isTextAnimatorPath(path) {
+  return TEXT_ANIMATOR_PATH.test(path);
+}
+
+/**
+ * Get how a layer's local time (used by its keyframes) maps to the main composition's frames.
+ * Layers inside precomps follow the first layer that shows the precomp; time remapping is ignored.
+ * @param {Object} animData - Animation data
+ * @param {string} layerPath - Path of the layer, e.g. "layers.2" or "assets.0.layers.1"
+ * @param {Set} [visiting] - Precomp ids already followed (guards against cyclic precomps)
+ * @returns {{offset: number, scale: number}} Composition frame = offset + local frame * scale
+ */
+export function getLayerTiming(animData, layerPath, visiting = new Set()) {
+  const keys = layerPath.split(".");
+  const layer = keys.reduce((obj, key) => (obj ? obj[key] : undefined), animData);
+  if (!layer) return { offset: 0, scale: 1 };
+
+  // Layer keyframes are offset by the layer's start time (st) and scaled by its stretch (sr)
+  const timing = { offset: layer.st || 0, scale: layer.sr || 1 };
+  if (keys[0] !== "assets") return timing;
+
+  const asset = animData.assets[keys[1]];
+  const precompLayerPath = asset && !visiting.has(asset.id) ? findPrecompLayerPath(animData, asset.id) : null;
+  if (!precompLayerPath) return timing;
+
+  visiting.add(asset.id);
+  const parent = getLayerTiming(animData, precompLayerPath, visiting);
+  return { offset: parent.offset + timing.offset * parent.scale, scale: parent.scale * timing.scale };
+}
+
+/**
+ * Find the first layer that shows a precomp
+ * @param {Object} animData - Animation data
+ * @param {string} assetId - Precomp asset id
+ * @returns {string|null} Layer path, or null if no layer references the asset
+ */
+function findPrecompLayerPath(animData, assetId) {
+  const lists = [{ layers: animData.layers, path: "layers" }];
+  (animData.assets || []).forEach((asset, i) => {
+    if (Array.isArray(asset.layers)) lists.push({ layers: asset.layers, path: `assets.${i}.layers` });
+  });
+
+  for (const { layers, path } of lists) {
+    const index = (layers || []).findIndex(layer => layer.ty === 0 && layer.refId === assetId);
+    if (index !== -1) return `${path}.${index}`;
+  }
+  return null;
+}
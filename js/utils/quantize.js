@@ -0,0 +1,127 @@
+/**
+ * Median-cut color quantization for indexed image formats (GIF)
+ */
+
+// Colors are bucketed at 5 bits per channel before splitting
+const BITS = 5;
+const SHIFT = 8 - BITS;
+const SIZE = 1 << BITS;
+
+/**
+ * Get the bucket index of an 8-bit RGB color
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number} 15-bit bucket index
+ */
+function bucketIndex(r, g, b) {
+  return ((r >> SHIFT) << (2 * BITS)) | ((g >> SHIFT) << BITS) | (b >> SHIFT);
+}
+
+/**
+ * Find the channel with the widest value range in a box of buckets
+ * @param {number[]} buckets - Bucket indices
+ * @returns {{channel: number, range: number}} Widest channel (0 = r, 1 = g, 2 = b) and its range
+ */
+function widestChannel(buckets) {
+  const min = [SIZE, SIZE, SIZE];
+  const max = [0, 0, 0];
+  buckets.forEach(index => {
+    const values = [index >> (2 * BITS), (index >> BITS) & (SIZE - 1), index & (SIZE - 1)];
+    values.forEach((v, i) => {
+      if (v < min[i]) min[i] = v;
+      if (v > max[i]) max[i] = v;
+    });
+  });
+  const ranges = max.map((v, i) => v - min[i]);
+  const channel = ranges.indexOf(Math.max(...ranges));
+  return { channel, range: ranges[channel] };
+}
+
+/**
+ * Build a palette of at most maxColors colors for the opaque pixels of an image
+ * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA pixels
+ * @param {number} maxColors - Palette size limit
+ * @returns {{palette: number[][], map: Function}} Palette of [r, g, b] colors and a function mapping r, g, b to a palette index
+ */
+export function quantize(pixels, maxColors) {
+  const histogram = new Uint32Array(SIZE * SIZE * SIZE);
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] >= 128) {
+      histogram[bucketIndex(pixels[i], pixels[i + 1], pixels[i + 2])]++;
+    }
+  }
+
+  const used = [];
+  histogram.forEach((count, index) => {
+    if (count > 0) used.push(index);
+  });
+
+  const boxes = used.length > 0 ? [used] : [];
+  while (boxes.length < maxColors) {
+    // Split the most populated box that still holds several buckets
+    let target = -1;
+    let targetCount = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      const count = box.reduce((sum, index) => sum + histogram[index], 0);
+      if (count > targetCount) {
+        target = i;
+        targetCount = count;
+      }
+    });
+    if (target === -1) break;
+
+    const box = boxes[target];
+    const { channel } = widestChannel(box);
+    const shift = (2 - channel) * BITS;
+    box.sort((a, b) => ((a >> shift) & (SIZE - 1)) - ((b >> shift) & (SIZE - 1)));
+
+    // Cut at the pixel-count median
+    let seen = 0;
+    let cut = 1;
+    for (let i = 0; i < box.length - 1; i++) {
+      seen += histogram[box[i]];
+      if (seen >= targetCount / 2) {
+        cut = i + 1;
+        break;
+      }
+    }
+    boxes.splice(target, 1, box.slice(0, cut), box.slice(cut));
+  }
+
+  const expand = v => (v << SHIFT) | (v >> (BITS - SHIFT));
+  const palette = boxes.map(box => {
+    let total = 0;
+    const sum = [0, 0, 0];
+    box.forEach(index => {
+      const count = histogram[index];
+      total += count;
+      sum[0] += expand(index >> (2 * BITS)) * count;
+      sum[1] += expand((index >> BITS) & (SIZE - 1)) * count;
+      sum[2] += expand(index & (SIZE - 1)) * count;
+    });
+    return sum.map(v => Math.round(v / total));
+  });
+
+  // Nearest palette entry per bucket, computed on first use
+  const cache = new Int16Array(SIZE * SIZE * SIZE).fill(-1);
+  const map = (r, g, b) => {
+    const index = bucketIndex(r, g, b);
+    if (cache[index] === -1) {
+      let best = 0;
+      let bestDistance = Infinity;
+      palette.forEach((color, i) => {
+        const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+        if (distance < bestDistance) {
+          best = i;
+          bestDistance = distance;
+        }
+      });
+      cache[index] = best;
+    }
+    return cache[index];
+  };
+
+  return { palette, map };
+}
@@ -0,0 +1,176 @@
+/**
+ * Minimal ZIP archive reader and writer (stored or raw-deflated entries)
+ */
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum used by ZIP
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Uint8Array|string}>} files - Archive entries
+ * @param {Function} [deflateRaw] - Raw deflate function (e.g. pako.deflateRaw); entries are stored when omitted
+ * @returns {Uint8Array} ZIP file contents
+ */
+export function createZip(files, deflateRaw) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === "string" ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    let method = 0;
+    let stored = data;
+    if (deflateRaw) {
+      const compressed = deflateRaw(data);
+      if (compressed.length < data.length) {
+        method = 8;
+        stored = compressed;
+      }
+    }
+
+    // Local file header
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, method, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, stored);
+
+    // Central directory entry
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + stored.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Read the files of a ZIP archive (directories are skipped)
+ * @param {Uint8Array} bytes - ZIP file contents
+ * @param {Function} [inflateRaw] - Raw inflate function (e.g. pako.inflateRaw), needed for deflated entries
+ * @returns {Array<{name: string, data: Uint8Array}>} Archive entries in directory order
+ */
+export function readZip(bytes, inflateRaw) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // End of central directory record: 22 bytes followed by a comment of up to 64 KB
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error("Not a ZIP archive");
+  }
+
+  const decoder = new TextDecoder();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+
+    // The local header has its own name/extra lengths, which may differ from the central entry
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const stored = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = stored.slice();
+    } else if (method === 8) {
+      if (!inflateRaw) {
+        throw new Error(`Cannot inflate ${name}: no inflate function available`);
+      }
+      data = inflateRaw(stored);
+    } else {
+      throw new Error(`Unsupported compression method ${method} for ${name}`);
+    }
+    files.push({ name, data });
+  }
+
+  return files;
+}